@@ -0,0 +1,119 @@
+/**
+ * config.js - Shared runtime configuration for the explorer and the dashboard
+ * Resolves the API endpoint and the fixture mode before any other script runs
+ */
+
+// Default NAS backend
+const DEFAULT_HOST = "https://naslku.synology.me/commissionXplorerAPI/";
+// Local folder serving fixture responses and media
+const FIXTURES_HOST = "./assets/fixtures/";
+// sessionStorage key holding the configuration of the current tab
+const CONFIG_KEY = "comex.config";
+
+// Resolved configuration shared by every page
+const config = loadConfig();
+// Base URL for API endpoints and media files
+let host = config.fixtures ? FIXTURES_HOST : config.host;
+
+if (config.fixtures) console.debug("Fixture mode enabled, serving local responses.");
+
+/**
+ * Resolves the runtime configuration from the query string and sessionStorage.
+ * @function loadConfig
+ * @returns {{host: string, fixtures: boolean}} The resolved configuration
+ * @description Query parameters win over stored values and are kept for the
+ * session of the tab only, so both index.html and dashboard.html pick them up
+ * until the tab is closed, and a link cannot change the backend of later visits:
+ * - `api`: Backend base URL (`api=default` restores the NAS endpoint)
+ * - `fixtures`: `true` serves every API call from ./assets/fixtures/
+ * @example
+ * // URL: https://example.com/?api=http://localhost:8080/commissionXplorerAPI/
+ * loadConfig(); // Returns { host: "http://localhost:8080/commissionXplorerAPI/", fixtures: false }
+ */
+function loadConfig() {
+  let stored = {};
+  try {
+    stored = JSON.parse(sessionStorage.getItem(CONFIG_KEY)) || {};
+    // Drops the device-wide configuration written by earlier releases
+    localStorage.removeItem(CONFIG_KEY);
+  } catch (err) {
+    console.error("Failed to read stored configuration:", err.message);
+  }
+
+  const searchParams = new URLSearchParams(window.location.search);
+  if (searchParams.has("api")) {
+    const api = searchParams.get("api").trim();
+    if (api === "" || api === "default") {
+      delete stored.host;
+    } else {
+      stored.host = api.endsWith("/") ? api : `${api}/`;
+    }
+  }
+  if (searchParams.has("fixtures")) {
+    stored.fixtures = searchParams.get("fixtures") === "true";
+  }
+
+  try {
+    sessionStorage.setItem(CONFIG_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.error("Failed to persist configuration:", err.message);
+  }
+
+  return {
+    host: stored.host || DEFAULT_HOST,
+    fixtures: stored.fixtures === true,
+  };
+}
+
+/**
+ * Calls an API script on the configured backend, or its local fixture.
+ * @function apiFetch
+ * @param {string} endpoint - Script name with optional query string (e.g. "artists.php?isNsfw=false")
+ * @param {RequestInit} [init={}] - Standard fetch options
+ * @returns {Promise<Response>} The backend or fixture response
+ * @example
+ * apiFetch("artworks.php", { method: "POST", body: new URLSearchParams({ artist }) });
+ */
+function apiFetch(endpoint, init = {}) {
+  if (!config.fixtures) {
+    return fetch(`${host}api/${endpoint}`, init);
+  }
+  return fixtureFetch(endpoint, init);
+}
+
+/**
+ * Serves an API call from ./assets/fixtures/api/<script>.json.
+ * @function fixtureFetch
+ * @async
+ * @param {string} endpoint - Script name with optional query string
+ * @param {RequestInit} init - Fetch options, only `body` and `signal` are read
+ * @returns {Promise<Response>} A JSON response built from the fixture
+ * @description Fixtures keyed by request parameter are narrowed down here:
+ * - artists.json: keyed by `isNsfw` ("true" / "false")
+ * - artworks.json: keyed by `artist`
+ * Every other fixture is returned as is.
+ */
+async function fixtureFetch(endpoint, init) {
+  const [script, query = ""] = endpoint.split("?");
+  const name = script.replace(/\.php$/, "");
+  const params = new URLSearchParams(query);
+
+  if (init.body instanceof URLSearchParams) {
+    init.body.forEach((value, key) => params.set(key, value));
+  }
+
+  const response = await fetch(`${FIXTURES_HOST}api/${name}.json`, { signal: init.signal });
+  if (!response.ok) return response;
+
+  let data = await response.json();
+  if (name === "artists") {
+    data = data[params.get("isNsfw") === "true"] || {};
+  } else if (name === "artworks") {
+    data = data[params.get("artist")] || [];
+  }
+
+  return new Response(JSON.stringify(data), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+}
@@ -1,21 +1,66 @@
 // Global variable to store the total number of commissions.
-let API = "commissionXplorerAPI/";
 let totalCommissions = 0;
 let totalParts = [];
 let sortStates = {
   artists: { order: [], type: "desc" },
 };
 
+// Columns of the artists table: export key and message key of the header
+const TABLE_COLUMNS = [
+  { key: "artist", label: "dashboard.column.artist" },
+  { key: "sfw", label: "dashboard.column.sfw" },
+  { key: "totalPercentage", label: "dashboard.column.total" },
+  { key: "typePercentage", label: "dashboard.column.type" },
+  { key: "commissions", label: "dashboard.column.commissions" },
+  { key: "pictures", label: "dashboard.column.pictures" },
+  { key: "picturesPercentage", label: "dashboard.column.ratio" },
+];
+// Time the copy button shows its result before reverting, in milliseconds
+const COPY_FEEDBACK_DELAY = 2000;
+// Query parameter holding the ordered sort list, as "column:direction" pairs;
+// each column filter uses the column key of TABLE_COLUMNS
+const SORT_PARAM = "sort";
+// Whether the current history entry belongs to a filter being typed, see onFilterInput()
+let typingFilter = false;
+
+// localStorage key holding the dated snapshots of the stats, one per day
+const STATS_HISTORY_KEY = "comex.statsHistory";
+// Number of snapshots kept, the oldest ones are dropped first
+const STATS_HISTORY_LIMIT = 365;
+// Stored snapshots, oldest first, and the one of the previous visit
+let statsHistory = [];
+let previousSnapshot = null;
+
 /**
  * Main initialization
  * This event listener waits for the DOM content to be fully loaded before executing the `getStats` function.
  */
 document.addEventListener("DOMContentLoaded", () => {
+  initLocale();
+  initTheme();
+  generateToolbar();
   createLoad();
   getStats();
   preventContextualMenu();
+
+  // Back and forward move between the filter states of the table
+  window.addEventListener("popstate", () => {
+    const table = document.querySelector("#artists");
+    if (table) applyViewState(table);
+  });
 });
 
+/**
+ * Creates the toolbar above the panels, holding the page settings.
+ */
+function generateToolbar() {
+  const toolbar = document.createElement("div");
+  toolbar.className = "toolbar";
+  toolbar.appendChild(generateThemeSelect()); // Theme shared with the explorer, see theme.js
+  toolbar.appendChild(generateLocaleSelect()); // Language shared with the explorer, see i18n.js
+  document.body.appendChild(toolbar);
+}
+
 function createLoad() {
   // Create a loader element to indicate loading state
   let loader = document.createElement("div");
@@ -27,19 +72,20 @@ function createLoad() {
  * Fetches statistics from the API and generates the UI components.
  *
  * This function performs the following steps:
- * 1. Fetches data from the API endpoint.
+ * 1. Fetches data from the API endpoint configured in config.js.
  * 2. Parses the response as JSON.
- * 3. Calls `generatePanels` to create the main dashboard panels.
- * 4. Calls `generateArtistsPanel` to create individual artist panels.
- * 5. Handles errors using `handleError`.
- * 6. Logs a debug message when the process is complete.
+ * 3. Calls `recordSnapshot` to store the counts of this visit.
+ * 4. Calls `generatePanels` and `generateTrendsPanel` to create the dashboard panels.
+ * 5. Calls `generateArtistsTable` to create the artists table.
+ * 6. Handles errors using `handleError`.
+ * 7. Logs a debug message when the process is complete.
  */
 function getStats() {
   // Toggle the loading spinner visibility
   document.querySelector(".spinner").classList.toggle("loading");
 
   // Fetch statistics data from the API
-  fetch(`https://naslku.synology.me/${API}/api/stats.php`)
+  apiFetch("stats.php")
     .then((res) => res.json()) // Parse the response as JSON
     .then((stats) => {
       if (stats.error) {
@@ -55,11 +101,18 @@ function getStats() {
       // Store the count of SFW and NSFW commissions
       totalParts = [stats.sfw.commissions.count, stats.nsfw.commissions.count];
 
+      // Record this visit, the previous one feeds the deltas
+      recordSnapshot(stats);
+
       // Generate the main dashboard panels
       generatePanels(stats);
 
+      // Generate the trends panel from the recorded snapshots
+      generateTrendsPanel();
+
       // Add a horizontal line for visual separation
-      document.body.innerHTML += "<hr>";
+      // (appended, rebuilding the body with innerHTML would drop the toolbar listeners)
+      document.body.appendChild(document.createElement("hr"));
 
       // Generate the artists table
       generateArtistsTable(stats);
@@ -98,8 +151,8 @@ function generatePanels(stats) {
   generatePanel({
     id: "Total",
     sections: [
-      createToggleSection("Artistes", stats, "artists"), // Toggle section for artists.
-      createToggleSection("Commissions", stats, "commissions"), // Toggle section for commissions.
+      createToggleSection(translate("dashboard.artists"), stats, "artists"), // Toggle section for artists.
+      createToggleSection(translate("dashboard.commissions"), stats, "commissions"), // Toggle section for commissions.
       createImageRatioSection(stats), // Image ratio section.
     ],
   });
@@ -108,8 +161,8 @@ function generatePanels(stats) {
   generatePanel({
     id: "SFW",
     sections: [
-      createStatItem("Artistes", stats.sfw.artists.count), // SFW artist count.
-      createStatItem("Commissions", stats.sfw.commissions.count), // SFW commission count.
+      createStatItem(translate("dashboard.artists"), stats.sfw.artists.count, (snapshot) => snapshot.sfw.artists), // SFW artist count.
+      createStatItem(translate("dashboard.commissions"), stats.sfw.commissions.count, (snapshot) => snapshot.sfw.commissions), // SFW commission count.
       createImageSubsection(stats.sfw, "sfw"), // SFW image subsection.
     ],
   });
@@ -118,8 +171,8 @@ function generatePanels(stats) {
   generatePanel({
     id: "NSFW",
     sections: [
-      createStatItem("Artistes", stats.nsfw.artists.count), // NSFW artist count.
-      createStatItem("Commissions", stats.nsfw.commissions.count), // NSFW commission count.
+      createStatItem(translate("dashboard.artists"), stats.nsfw.artists.count, (snapshot) => snapshot.nsfw.artists), // NSFW artist count.
+      createStatItem(translate("dashboard.commissions"), stats.nsfw.commissions.count, (snapshot) => snapshot.nsfw.commissions), // NSFW commission count.
       createImageSubsection(stats.nsfw, "nsfw"), // NSFW image subsection.
     ],
   });
@@ -131,7 +184,8 @@ function generatePanels(stats) {
  * @param {object} config - Configuration object for the panel.
  * The `config` object should have the following structure:
  * {
- *   id: string, // Unique ID for the panel.
+ *   id: string, // Unique ID for the panel, shown as its title.
+ *   title: string, // Optional translated title, shown instead of the ID.
  *   sections: array // Array of HTML elements representing sections within the panel.
  * }
  */
@@ -140,6 +194,7 @@ function generatePanel(config) {
   const panel = document.createElement("div");
   panel.className = "panel"; // Assign a class for styling
   panel.id = config.id; // Set the panel's unique ID
+  if (config.title) panel.dataset.title = config.title; // Set the panel's displayed title
 
   // Add each section to the panel
   config.sections.forEach((section) => {
@@ -198,6 +253,9 @@ function generateTable(stats, label) {
   searchResults.innerHTML = "&nbsp;"; // Initialize with a non-breaking space
   container.appendChild(searchResults);
 
+  // Create the export buttons, reading the rows shown by the table
+  container.appendChild(generateExportActions(label));
+
   // Create the table element
   const table = document.createElement("table");
   table.className = "table"; // Assign a class for styling
@@ -217,18 +275,11 @@ function generateTable(stats, label) {
   header.appendChild(searchRow);
 
   // Define the column headers and add them to the table
-  [
-    "Artist",
-    "? sfw",
-    "% Total",
-    "% Type",
-    "# Commissions",
-    "# Pictures",
-    "% Pics / Coms",
-  ].forEach((header, idx) => {
+  TABLE_COLUMNS.map((column) => translate(column.label)).forEach((header, idx) => {
     const th = document.createElement("th");
     th.textContent = header; // Set the header text
     th.addEventListener("click", clickHeader); // Add a click event listener for sorting
+    th.addEventListener("click", () => updateViewUrl(true)); // Add the new order to the history
     headerRow.appendChild(th);
 
     const tdSearch = document.createElement("td");
@@ -244,17 +295,24 @@ function generateTable(stats, label) {
       inputSearch.placeholder = header; // Set the placeholder text
       inputSearch.className = "search"; // Assign a class for styling
       inputSearch.addEventListener("input", searchColumn); // Add an input event listener for filtering
+      inputSearch.addEventListener("input", onFilterInput); // Write the filter to the URL
+      inputSearch.addEventListener("change", onFilterChange); // Close the history entry of the filter
       tdSearch.appendChild(inputSearch);
     } else {
-      // Create a dropdown for filtering
+      // Create a dropdown for filtering, on the raw value of the cells
       const selectSearch = document.createElement("select");
-      ["", "Yes", "No"].forEach((answer) => {
+      [
+        ["", ""],
+        ["true", translate("dashboard.yes")],
+        ["false", translate("dashboard.no")],
+      ].forEach(([value, answer]) => {
         let option = document.createElement("option");
         option.innerText = answer; // Set the option text
-        option.value = answer; // Set the option value
+        option.value = value; // Set the option value
         selectSearch.appendChild(option);
       });
       selectSearch.addEventListener("change", selectValue); // Add a change event listener for filtering
+      selectSearch.addEventListener("change", () => updateViewUrl(true)); // Add the filter to the history
       tdSearch.appendChild(selectSearch);
     }
 
@@ -270,27 +328,260 @@ function generateTable(stats, label) {
     const commissions = stats.commissions.details[idx][1]; // Get the number of commissions
     const thumbnails = stats.thumbnails.details[idx][1]; // Get the number of thumbnails
 
+    const total = calculatePercentage(commissions, totalCommissions);
+    const type = stats.sfw[idx]
+      ? calculatePercentage(commissions, totalParts[0])
+      : calculatePercentage(commissions, totalParts[1]);
+    const ratio = calculatePercentage(thumbnails, commissions);
+
+    // Cells show localized values and keep the raw ones in data-value,
+    // read by the filters and the sort
     const row = document.createElement("tr");
     row.classList = idx % 2 === 0 ? "even" : "odd"; // Add alternating row classes
     row.innerHTML = `
             <td>${artist}</td>
-            <td class='${stats.sfw[idx] ? "sfw" : "nsfw"}'>${
-      stats.sfw[idx] ? "Yes" : "No"
+            <td class='${stats.sfw[idx] ? "sfw" : "nsfw"}' data-value="${stats.sfw[idx]}">${
+      stats.sfw[idx] ? translate("dashboard.yes") : translate("dashboard.no")
     }</td>
-            <td>${calculatePercentage(commissions, totalCommissions)}%</td>
-            <td>${
-              stats.sfw[idx]
-                ? calculatePercentage(commissions, totalParts[0])
-                : calculatePercentage(commissions, totalParts[1])
-            }%</td>
-            <td>${commissions}</td>
-            <td>${thumbnails}</td>
-            <td>${calculatePercentage(thumbnails, commissions)}%</td>`;
+            <td data-value="${total}">${formatPercentage(total)}</td>
+            <td data-value="${type}">${formatPercentage(type)}</td>
+            <td data-value="${commissions}">${formatNumber(commissions)}</td>
+            <td data-value="${thumbnails}">${formatNumber(thumbnails)}</td>
+            <td data-value="${ratio}">${formatPercentage(ratio)}</td>`;
     body.appendChild(row); // Append the row to the table body
   });
 
   // Hide columns based on the initial filter value
   hideColumns(table.querySelector("select").value);
+
+  // Restore the filters and the order of the URL
+  applyViewState(table);
+}
+
+/**
+ * Creates the export buttons of a table.
+ *
+ * @param {string} tableId - The ID of the table to export.
+ * @returns {HTMLElement} - A group of CSV, JSON and copy buttons.
+ */
+function generateExportActions(tableId) {
+  const actions = document.createElement("div");
+  actions.className = "table-actions";
+  actions.setAttribute("role", "group");
+  actions.setAttribute("aria-label", translate("dashboard.export"));
+
+  [
+    ["dashboard.exportCsv", () => downloadTable(tableId, "csv")],
+    ["dashboard.exportJson", () => downloadTable(tableId, "json")],
+    ["dashboard.copy", (event) => copyTable(tableId, event.currentTarget)],
+  ].forEach(([label, action]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = translate(label);
+    button.addEventListener("click", action);
+    actions.appendChild(button);
+  });
+
+  return actions;
+}
+
+/**
+ * Reads the rows shown by a table.
+ *
+ * @param {string} tableId - The ID of the table.
+ * @returns {Array<object>} - One object per visible row, in the current sort order,
+ * keyed by TABLE_COLUMNS. Values are raw: booleans and numbers, not the localized text.
+ */
+function getVisibleRows(tableId) {
+  return Array.from(
+    document.querySelectorAll(`#${tableId} tbody tr:not([hidden])`)
+  ).map((row) => {
+    const entry = {};
+    TABLE_COLUMNS.forEach(({ key }, idx) => {
+      const cell = row.cells[idx];
+      if (cell.dataset.value === undefined) {
+        entry[key] = cell.textContent.trim(); // Text column (artist).
+      } else if (key === "sfw") {
+        entry[key] = cell.dataset.value === "true";
+      } else {
+        entry[key] = Number(cell.dataset.value);
+      }
+    });
+    return entry;
+  });
+}
+
+/**
+ * Serializes table rows as CSV.
+ *
+ * @param {Array<object>} rows - Rows from `getVisibleRows`.
+ * @returns {string} - CSV with a header line of column keys.
+ * Fields holding a comma, a quote or a line break are quoted.
+ */
+function toCsv(rows) {
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const keys = TABLE_COLUMNS.map(({ key }) => key);
+  return [keys, ...rows.map((row) => keys.map((key) => row[key]))]
+    .map((fields) => fields.map(escape).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Downloads the visible rows of a table.
+ *
+ * @param {string} tableId - The ID of the table.
+ * @param {string} format - "csv" or "json".
+ */
+function downloadTable(tableId, format) {
+  const rows = getVisibleRows(tableId);
+  const blob =
+    format === "csv"
+      ? new Blob([toCsv(rows)], { type: "text/csv" })
+      : new Blob([JSON.stringify(rows, null, 2)], { type: "application/json" });
+
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `comex-${tableId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/**
+ * Copies the visible rows of a table to the clipboard as CSV.
+ *
+ * @param {string} tableId - The ID of the table.
+ * @param {HTMLButtonElement} button - The copy button, briefly showing whether the copy succeeded.
+ */
+function copyTable(tableId, button) {
+  Promise.resolve()
+    .then(() => navigator.clipboard.writeText(toCsv(getVisibleRows(tableId))))
+    .then(
+      () => true,
+      (err) => {
+        console.error("Failed to copy the table:", err.message);
+        return false;
+      }
+    )
+    .then((copied) => {
+      button.textContent = translate(copied ? "dashboard.copied" : "dashboard.copyFailed");
+      setTimeout(() => {
+        button.textContent = translate("dashboard.copy");
+      }, COPY_FEEDBACK_DELAY);
+    });
+}
+
+/**
+ * Builds the URL of the current view of the artists table.
+ *
+ * @returns {string} - Path and query string holding the column filters, the sfw
+ * select and the ordered sort list. Other parameters (configuration) are kept.
+ * @example
+ * // Artist filter "moon", sorted by commissions descending then artist
+ * getViewUrl(); // Returns "/dashboard.html?artist=moon&sort=commissions%3Adesc%2Cartist%3Aasc"
+ */
+function getViewUrl() {
+  const table = document.querySelector("#artists");
+  const searchParams = new URLSearchParams(window.location.search);
+  TABLE_COLUMNS.forEach(({ key }) => searchParams.delete(key));
+  searchParams.delete(SORT_PARAM);
+
+  table.querySelectorAll("thead tr:last-child td").forEach((td, idx) => {
+    const value = td.firstElementChild.value.trim();
+    if (value !== "") searchParams.set(TABLE_COLUMNS[idx].key, value);
+  });
+
+  const order = sortStates[table.id].order
+    .map(({ column, direction }) => `${TABLE_COLUMNS[column].key}:${direction}`)
+    .join(",");
+  if (order !== "") searchParams.set(SORT_PARAM, order);
+
+  return `${document.location.pathname}` + (searchParams.toString() === "" ? "" : "?") + `${searchParams.toString()}`;
+}
+
+/**
+ * Writes the current view of the table to the URL.
+ *
+ * @param {boolean} push - Adds a history entry instead of replacing the current one.
+ * Nothing is written when the URL does not change.
+ */
+function updateViewUrl(push) {
+  const url = getViewUrl();
+  if (url === `${document.location.pathname}${document.location.search}`) return;
+
+  if (push) {
+    history.pushState(null, "", url);
+  } else {
+    history.replaceState(null, "", url);
+  }
+  typingFilter = false;
+}
+
+/**
+ * Handles typing in a column filter.
+ * The first keystroke adds a history entry, the next ones update it, so one
+ * back step undoes the whole filter.
+ */
+function onFilterInput() {
+  updateViewUrl(!typingFilter);
+  typingFilter = true;
+}
+
+/**
+ * Handles a committed column filter (Enter or focus leaving the field).
+ * The next keystroke starts a new history entry.
+ */
+function onFilterChange() {
+  typingFilter = false;
+}
+
+/**
+ * Applies the view state of the URL to the table.
+ *
+ * @param {HTMLTableElement} table - The artists table.
+ * Sets every filter field, missing parameters clearing them, then rebuilds the
+ * ordered sort list. The filter handlers are called with the field as
+ * `currentTarget`, the only event property they read.
+ */
+function applyViewState(table) {
+  const searchParams = new URLSearchParams(window.location.search);
+  typingFilter = false;
+
+  table.querySelectorAll("thead tr:last-child td").forEach((td, idx) => {
+    const field = td.firstElementChild;
+    field.value = searchParams.get(TABLE_COLUMNS[idx].key) || "";
+    if (field.tagName === "SELECT") {
+      selectValue({ currentTarget: field });
+    } else {
+      searchColumn({ currentTarget: field });
+    }
+  });
+
+  // Keep known sortable columns once, in URL order
+  const order = [];
+  (searchParams.get(SORT_PARAM) || "").split(",").forEach((item) => {
+    const [key, direction] = item.split(":");
+    const column = TABLE_COLUMNS.findIndex((entry) => entry.key === key);
+    if (
+      column > -1 &&
+      column !== 1 &&
+      ["asc", "desc"].includes(direction) &&
+      !order.some((sort) => sort.column === column)
+    ) {
+      order.push({ column, direction });
+    }
+  });
+  sortStates[table.id].order = order;
+
+  table.querySelectorAll("thead tr:first-child th").forEach((th, idx) => {
+    const sort = order.find((item) => item.column === idx);
+    th.classList.toggle("asc", !!sort && sort.direction === "asc");
+    th.classList.toggle("desc", !!sort && sort.direction === "desc");
+  });
+  updateSortIndicators(table);
+  sortTable(table);
 }
 
 /**
@@ -309,16 +600,14 @@ function searchColumn(event) {
   td.closest("table")
     .querySelectorAll(`tbody tr`) // Select all rows in the table body.
     .forEach((row) => {
+      const cell = row.querySelector(`td:nth-child(${col + 1})`); // Get the cell in the current column.
+      const cellValue = cell.dataset.value ?? cell.innerText; // Raw value, not the localized text.
       const fieldValue = [0, 2, 3, 6].includes(col)
-        ? row
-            .querySelector(`td:nth-child(${col + 1})`) // Get the cell in the current column.
-            .innerText.trim()
+        ? cellValue
+            .trim()
             .substring(0, searchValue.length)
             .toLowerCase() // Normalize the cell value.
-        : row
-            .querySelector(`td:nth-child(${col + 1})`)
-            .innerText.trim()
-            .toLowerCase();
+        : cellValue.trim().toLowerCase();
 
       let colArray;
 
@@ -344,10 +633,12 @@ function searchColumn(event) {
 
   // Update the search results display.
   if (document.querySelectorAll("table tbody tr[hidden]").length > 0) {
-    document.querySelector(".search-results").innerHTML = `Search results: ${
-      document.querySelectorAll("table tbody tr").length -
-      document.querySelectorAll("table tbody tr[hidden]").length
-    } results`; // Display the number of matching results.
+    document.querySelector(".search-results").innerHTML = translate("dashboard.results", {
+      count: formatNumber(
+        document.querySelectorAll("table tbody tr").length -
+          document.querySelectorAll("table tbody tr[hidden]").length
+      ),
+    }); // Display the number of matching results.
   } else {
     document.querySelector(".search-results").innerHTML = "&nbsp;"; // Clear the search results display.
   }
@@ -369,9 +660,8 @@ function selectValue(event) {
   td.closest("table")
     .querySelectorAll(`tbody tr`) // Select all rows in the table body.
     .forEach((row) => {
-      const fieldValue = row.querySelector(
-        `td:nth-child(${col + 1})`
-      ).innerText; // Get the cell value in the current column.
+      const fieldValue = row.querySelector(`td:nth-child(${col + 1})`)
+        .dataset.value; // Get the raw cell value in the current column.
       let colArray;
 
       if (row.dataset.hidden !== undefined) {
@@ -398,10 +688,12 @@ function selectValue(event) {
 
   // Update the search results display.
   if (document.querySelectorAll("table tbody tr[hidden]").length > 0) {
-    document.querySelector(".search-results").innerHTML = `Search results: ${
-      document.querySelectorAll("table tbody tr").length -
-      document.querySelectorAll("table tbody tr[hidden]").length
-    } results`; // Display the number of matching results.
+    document.querySelector(".search-results").innerHTML = translate("dashboard.results", {
+      count: formatNumber(
+        document.querySelectorAll("table tbody tr").length -
+          document.querySelectorAll("table tbody tr[hidden]").length
+      ),
+    }); // Display the number of matching results.
   } else {
     document.querySelector(".search-results").innerHTML = "&nbsp;"; // Clear the search results display.
   }
@@ -534,8 +826,8 @@ function sortTable(table) {
         const direction = sort.direction === "asc" ? 1 : -1;
         const aCell = a.cells[colIndex];
         const bCell = b.cells[colIndex];
-        const aValue = parseValue(aCell.textContent, [0, 1].includes(colIndex));
-        const bValue = parseValue(bCell.textContent, [0, 1].includes(colIndex));
+        const aValue = parseValue(aCell.dataset.value ?? aCell.textContent, [0, 1].includes(colIndex));
+        const bValue = parseValue(bCell.dataset.value ?? bCell.textContent, [0, 1].includes(colIndex));
 
         if (aValue !== bValue) {
           return aValue > bValue ? direction : -direction;
@@ -580,28 +872,29 @@ function parseValue(content, isString) {
 /**
  * Creates toggleable statistic section
  *
- * @param {string} label - The label for the section (e.g., "Artistes", "Commissions").
+ * @param {string} label - The translated label for the section (e.g., "Artists", "Commissions").
  * @param {object} stats - The statistics object containing SFW and NSFW data.
  * @param {string} type - The type of data ("artists" or "commissions").
  * @returns {HTMLElement} - The generated section element.
  */
 function createToggleSection(label, stats, type) {
   const total = stats.sfw[type].count + stats.nsfw[type].count;
+  const delta = createDelta(total, (snapshot) => snapshot.sfw[type] + snapshot.nsfw[type]);
   if (type === "commissions") totalCommissions = total;
   const percentage = calculatePercentage(stats.sfw[type].count, total);
 
   const section = document.createElement("div");
   section.innerHTML = `
-        <input type="checkbox" id="checkbox-${label}">
-        <label class="stat" for="checkbox-${label}">
-            ${label}: ${total}
+        <input type="checkbox" id="checkbox-${type}">
+        <label class="stat" for="checkbox-${type}">
+            ${label}: ${formatNumber(total)}${delta}
         </label>
         <div class="stat-container">
             <div class="pie-chart" id="ratio-${type.toLowerCase()}" 
                  style="--ratio-var: ${percentage}%"></div>
             <div class="values">
-                <div class="sfw">sfw: ${percentage}%</div>
-                <div class="nsfw">nsfw: ${100 - percentage}%</div>
+                <div class="sfw">sfw: ${formatPercentage(percentage)}</div>
+                <div class="nsfw">nsfw: ${formatPercentage(100 - percentage)}</div>
             </div>
         </div>
     `;
@@ -620,22 +913,26 @@ function createImageSubsection(data, type) {
   const images = data.thumbnails.count;
   const others = data.commissions.count - images;
   const percentage = calculatePercentage(images, data.commissions.count);
+  const imagesDelta = createDelta(images, (snapshot) => snapshot[type].thumbnails);
+  const othersDelta = createDelta(
+    others,
+    (snapshot) => snapshot[type].commissions - snapshot[type].thumbnails
+  );
 
   const section = document.createElement("div");
   section.innerHTML = `
         <input type="checkbox" id="checkbox-images-${type}">
         <label class="stat" for="checkbox-images-${type}">
-            Pictures: ${images} - Others: ${others}
+            ${translate("dashboard.pictures")}: ${formatNumber(images)}${imagesDelta} - ${translate("dashboard.others")}: ${formatNumber(others)}${othersDelta}
         </label>
         <div class="stat-container">
             <div class="pie-chart" id="ratio-images-${type}" 
                  style="--ratio-var: ${percentage}%"></div>
             <div class="values">
-                <div class="sfw">pictures: ${percentage}%</div>
-                <div class="nsfw">others: ${calculatePercentage(
-                  others,
-                  data.commissions.count
-                )}%</div>
+                <div class="sfw">${translate("dashboard.picturesShare")}: ${formatPercentage(percentage)}</div>
+                <div class="nsfw">${translate("dashboard.othersShare")}: ${formatPercentage(
+                  calculatePercentage(others, data.commissions.count)
+                )}</div>
             </div>
         </div>
     `;
@@ -655,21 +952,33 @@ function createImageRatioSection(stats) {
     stats.sfw.commissions.count + stats.nsfw.commissions.count;
   const others = totalCommissions - totalImages;
   const percentage = calculatePercentage(totalImages, totalCommissions);
+  const imagesDelta = createDelta(
+    totalImages,
+    (snapshot) => snapshot.sfw.thumbnails + snapshot.nsfw.thumbnails
+  );
+  const othersDelta = createDelta(
+    others,
+    (snapshot) =>
+      snapshot.sfw.commissions +
+      snapshot.nsfw.commissions -
+      snapshot.sfw.thumbnails -
+      snapshot.nsfw.thumbnails
+  );
 
   const section = document.createElement("div");
   section.innerHTML = `
         <input type="checkbox" id="checkbox-images-total">
         <label class="stat" for="checkbox-images-total">
-            Images: ${totalImages} - Others: ${others}
+            ${translate("dashboard.images")}: ${formatNumber(totalImages)}${imagesDelta} - ${translate("dashboard.others")}: ${formatNumber(others)}${othersDelta}
         </label>
         <div class="stat-container">
             <div class="pie-chart" id="ratio-images" 
                  style="--ratio-var: ${percentage}%"></div>
             <div class="values">
-                <div class="sfw">pictures: ${percentage}%</div>
-                <div class="nsfw">others: ${
+                <div class="sfw">${translate("dashboard.picturesShare")}: ${formatPercentage(percentage)}</div>
+                <div class="nsfw">${translate("dashboard.othersShare")}: ${formatPercentage(
                   Math.round((100 - percentage + Number.EPSILON) * 100) / 100
-                }%</div>
+                )}</div>
             </div>
         </div>
     `;
@@ -691,24 +1000,225 @@ function createContainer() {
 /**
  * Utility function to create a statistic item.
  *
- * @param {string} label - The label for the statistic (e.g., "Artistes").
+ * @param {string} label - The translated label for the statistic (e.g., "Artists").
  * @param {number} value - The value of the statistic.
+ * @param {Function} pick - Reads the same statistic from a snapshot, for the delta.
  * @returns {HTMLElement} - A div element representing the statistic.
  */
-function createStatItem(label, value) {
+function createStatItem(label, value, pick) {
   const element = document.createElement("div");
   element.className = "stat";
-  element.textContent = `${label}: ${value}`;
+  element.textContent = `${label}: ${formatNumber(value)}`;
+  element.insertAdjacentHTML("beforeend", createDelta(value, pick));
   return element;
 }
 
+/**
+ * Records the snapshot of this visit.
+ *
+ * @param {object} stats - The statistics object returned by stats.php.
+ * Reads the stored snapshots, keeps the last one as `previousSnapshot` for the
+ * deltas, then stores the counts of this visit. A snapshot is kept per day:
+ * a later visit of the same day replaces it.
+ */
+function recordSnapshot(stats) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STATS_HISTORY_KEY));
+    statsHistory = Array.isArray(stored) ? stored.filter(isCompleteSnapshot) : [];
+  } catch (err) {
+    console.error("Failed to read stats history:", err.message);
+    statsHistory = [];
+  }
+  previousSnapshot = statsHistory[statsHistory.length - 1] || null;
+
+  const snapshot = { date: new Date().toISOString() };
+  ["sfw", "nsfw"].forEach((part) => {
+    snapshot[part] = {
+      artists: stats[part].artists.count,
+      commissions: stats[part].commissions.count,
+      thumbnails: stats[part].thumbnails.count,
+    };
+  });
+
+  if (
+    previousSnapshot &&
+    new Date(previousSnapshot.date).toDateString() === new Date(snapshot.date).toDateString()
+  ) {
+    statsHistory.pop(); // Same day, replace the earlier snapshot
+  }
+  statsHistory.push(snapshot);
+  statsHistory = statsHistory.slice(-STATS_HISTORY_LIMIT);
+
+  try {
+    localStorage.setItem(STATS_HISTORY_KEY, JSON.stringify(statsHistory));
+  } catch (err) {
+    console.error("Failed to persist stats history:", err.message);
+  }
+}
+
+/**
+ * Checks that a stored snapshot holds every count charted by the dashboard.
+ *
+ * @param {*} snapshot - A snapshot read from the stats history.
+ * @returns {boolean} - False for snapshots stored by an older version.
+ */
+function isCompleteSnapshot(snapshot) {
+  return (
+    Boolean(snapshot) &&
+    ["sfw", "nsfw"].every(
+      (part) =>
+        Boolean(snapshot[part]) &&
+        ["artists", "commissions", "thumbnails"].every((type) => Number.isFinite(snapshot[part][type]))
+    )
+  );
+}
+
+/**
+ * Creates the "since last visit" delta of a statistic.
+ *
+ * @param {number} value - The current value of the statistic.
+ * @param {Function} [pick] - Reads the same statistic from a snapshot.
+ * @returns {string} - The delta markup, empty on the first visit or when the
+ * previous snapshot lacks the statistic.
+ */
+function createDelta(value, pick) {
+  if (!previousSnapshot || !pick) return "";
+
+  let previous;
+  try {
+    previous = pick(previousSnapshot);
+  } catch (err) {
+    return ""; // Snapshot stored by an older version
+  }
+  if (!Number.isFinite(previous)) return "";
+
+  const delta = value - previous;
+  const trend = delta > 0 ? "up" : delta < 0 ? "down" : "same";
+  const title = translate("dashboard.sinceLastVisit", {
+    date: formatDate(previousSnapshot.date),
+  });
+  return ` <span class="delta ${trend}" title="${title}">${formatNumber(delta, {
+    signDisplay: "exceptZero",
+  })}</span>`;
+}
+
+/**
+ * Generates the "Trends" panel charting the recorded snapshots.
+ * One collapsible chart per statistic, with a SFW and a NSFW line.
+ */
+function generateTrendsPanel() {
+  const sections = [
+    ["artists", "dashboard.artists"],
+    ["commissions", "dashboard.commissions"],
+    ["thumbnails", "dashboard.pictures"],
+  ].map(([type, key]) => createTrendSection(translate(key), type));
+
+  if (statsHistory.length < 2) {
+    // A single point does not make a trend yet
+    const hint = document.createElement("div");
+    hint.className = "trends-hint";
+    hint.textContent = translate("dashboard.trendsEmpty");
+    sections.unshift(hint);
+  }
+
+  generatePanel({
+    id: "Trends",
+    title: translate("dashboard.trends"),
+    sections,
+  });
+}
+
+/**
+ * Creates a collapsible trend section
+ *
+ * @param {string} label - The translated label for the section.
+ * @param {string} type - The snapshot count ("artists", "commissions" or "thumbnails").
+ * @returns {HTMLElement} - The generated section element.
+ */
+function createTrendSection(label, type) {
+  const latest = statsHistory[statsHistory.length - 1];
+
+  const section = document.createElement("div");
+  section.innerHTML = `
+        <input type="checkbox" id="checkbox-trends-${type}">
+        <label class="stat" for="checkbox-trends-${type}">
+            ${label}
+        </label>
+        <div class="stat-container">
+            ${createTrendChart(label, type)}
+            <div class="values">
+                <div class="sfw">sfw: ${formatNumber(latest.sfw[type])}</div>
+                <div class="nsfw">nsfw: ${formatNumber(latest.nsfw[type])}</div>
+            </div>
+        </div>
+    `;
+
+  return section;
+}
+
+/**
+ * Creates the line chart of a snapshot count.
+ *
+ * @param {string} label - The translated label of the count, for assistive technologies.
+ * @param {string} type - The snapshot count ("artists", "commissions" or "thumbnails").
+ * @returns {string} - The SVG markup: dates on the x axis, counts on the y axis from 0.
+ * Each point carries its date and value as a tooltip.
+ */
+function createTrendChart(label, type) {
+  const width = 200;
+  const height = 120;
+  const padding = 20;
+
+  const times = statsHistory.map((snapshot) => Date.parse(snapshot.date));
+  const first = times[0];
+  const last = times[times.length - 1];
+  const max = Math.max(
+    1,
+    ...statsHistory.map((snapshot) => Math.max(snapshot.sfw[type], snapshot.nsfw[type]))
+  );
+
+  // Map a date and a count to chart coordinates, a single snapshot is centered
+  const round = (value) => Math.round(value * 10) / 10;
+  const x = (time) =>
+    last === first
+      ? width / 2
+      : round(padding + ((time - first) / (last - first)) * (width - 2 * padding));
+  const y = (value) => round(height - padding - (value / max) * (height - 2 * padding));
+
+  const series = ["sfw", "nsfw"]
+    .map((part) => {
+      const points = statsHistory
+        .map((snapshot, idx) => `${x(times[idx])},${y(snapshot[part][type])}`)
+        .join(" ");
+      const dots = statsHistory
+        .map(
+          (snapshot, idx) =>
+            `<circle cx="${x(times[idx])}" cy="${y(snapshot[part][type])}" r="3">` +
+            `<title>${part} · ${formatDate(snapshot.date)}: ${formatNumber(snapshot[part][type])}</title></circle>`
+        )
+        .join("");
+      return `<g class="${part}"><polyline points="${points}"></polyline>${dots}</g>`;
+    })
+    .join("");
+
+  return `
+            <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+                <line class="axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}"></line>
+                <text x="${padding}" y="${padding - 8}">${formatNumber(max)}</text>
+                <text x="${padding}" y="${height - 5}">${formatDate(first)}</text>
+                <text x="${width - padding}" y="${height - 5}" text-anchor="end">${formatDate(last)}</text>
+                ${series}
+            </svg>`;
+}
+
 /**
  * Calculates the percentage of a numerator relative to a denominator.
  *
  * @param {number} numerator - The numerator value.
  * @param {number} denominator - The denominator value.
- * @returns {number} - The calculated percentage.
+ * @returns {number} - The calculated percentage, rounded to two decimals.
  * Returns 0 if the denominator is 0 to avoid division by zero.
+ * Displayed with `formatPercentage()` (i18n.js), the raw value feeds the pie charts.
  */
 function calculatePercentage(numerator, denominator) {
   return denominator === 0
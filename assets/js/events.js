@@ -1,6 +1,3 @@
-// Base URL for API endpoints
-let API = "commissionXplorerAPI/";
-let host = `https://naslku.synology.me/${API}`;
 let page = "";
 // Global flag for NSFW content filtering
 var isNsfw;
@@ -8,80 +5,21 @@ var isNsfw;
 
 document.addEventListener("DOMContentLoaded", function () {
     preventContextualMenu();
+    initLocale();
+    initTheme();
     setPageTitle();
     setIsNsfw();
     generateHeader(document.body);
     generateMain(document.body);
+    initOffline();
+    initNsfw();
+    initKeymap();
     
     checkNew();
-    addNavigateSuccess(loadContent);
-    // addPopState(reloadPage);
-    loadContent();
+    loadArtistCommissions();
+    initRouter();
 });
 
-/**
- * Safely adds a navigation success handler, with fallback for unsupported browsers.
- * Uses History API and custom events to simulate Navigation API behavior.
- */
-function addNavigateSuccess(f) {
-    if (window.navigation) {
-      window.navigation.removeEventListener("navigatesuccess", f);
-      window.navigation.addEventListener("navigatesuccess", f);
-    } else {
-      // Initialize fallback with robust guard
-      if (!window._navigationFallback) {
-        Object.defineProperty(window, "_navigationFallback", {
-          value: {
-            handlers: new Set(),
-            setup() {
-              // Avoid double-patching
-              if (history.pushState._isMonkeyPatched) return;
-  
-              // Patch pushState/replaceState
-              const originalPushState = history.pushState;
-              history.pushState = function(...args) {
-                originalPushState.apply(this, args);
-                window.document.title = args[1];
-                window.dispatchEvent(new CustomEvent("fallbacknavigate", {
-                  detail: { url: window.location.href, state: args[0] }
-                }));
-              };
-              history.pushState._isMonkeyPatched = true;
-  
-              history.replaceState = function(...args) {
-                originalPushState.apply(this, args);
-                window.document.title = args[1];
-                window.dispatchEvent(new CustomEvent("fallbacknavigate", {
-                  detail: { url: window.location.href, state: args[0] }
-                }));
-              };
-              history.replaceState._isMonkeyPatched = true;
-  
-              // Unified event handler
-              const handler = () => {
-                const event = {
-                  destination: { url: window.location.href },
-                  state: history.state
-                };
-                window._navigationFallback.handlers.forEach(cb => cb(event));
-              };
-              window.addEventListener("popstate", handler);
-              window.addEventListener("hashchange", handler);
-              window.addEventListener("fallbacknavigate", handler);
-            }
-          },
-          writable: false,
-          configurable: false
-        });
-        window._navigationFallback.setup();
-      }
-  
-      // Register handler
-      window._navigationFallback.handlers.delete(f);
-      window._navigationFallback.handlers.add(f);
-    }
-  }
-
 /**
  * Safely adds a popstate event listener to the window, ensuring duplicate listeners are removed first.
  * 
@@ -194,6 +132,29 @@ function addClick(e, f) {
     e.addEventListener("click", f);
 }
 
+/**
+ * Safely adds a passive scroll event listener to an element by first removing
+ * any existing identical listener to prevent duplicate event handlers.
+ * 
+ * @param {HTMLElement} e - The scroll container to attach the handler to
+ * @param {Function} f - The callback function to be executed on scroll event
+ * 
+ * @example
+ * // Remember the gallery scroll position
+ * addScroll(document.querySelector('#gallery'), saveWelcomeScroll);
+ * 
+ * @remarks
+ * - The listener is passive: the handler cannot call preventDefault()
+ * - Function reference must be the same for removal to work
+ */
+function addScroll(e, f) {
+    // First remove existing listener to prevent duplicates
+    e.removeEventListener("scroll", f);
+    
+    // Passive listener, scrolling never waits for the handler
+    e.addEventListener("scroll", f, { passive: true });
+}
+
 /**
  * Prevents the default browser context menu from appearing.
  * This disables right-click context menus on the entire document.
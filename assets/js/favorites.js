@@ -0,0 +1,183 @@
+/**
+ * favorites.js - Favorite artists and artworks of this device
+ * Star toggles on cards and previews, and the favorites route mixing the
+ * favorite artworks of every artist
+ */
+
+// localStorage key holding the favorites
+const FAVORITES_KEY = "comex.favorites";
+
+// Favorite artist names and artwork links (../commissions/...), most recent first
+const favorites = readFavorites();
+
+/**
+ * Reads the favorites of this device.
+ * @function readFavorites
+ * @returns {{artists: Array<string>, artworks: Array<string>}} Stored favorites
+ */
+function readFavorites() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FAVORITES_KEY)) || {};
+    return {
+      artists: Array.isArray(stored.artists) ? stored.artists : [],
+      artworks: Array.isArray(stored.artworks) ? stored.artworks : [],
+    };
+  } catch (err) {
+    console.error("Failed to read favorites:", err.message);
+    return { artists: [], artworks: [] };
+  }
+}
+
+/**
+ * Persists the favorites of this device.
+ * @function saveFavorites
+ */
+function saveFavorites() {
+  try {
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+  } catch (err) {
+    console.error("Failed to persist favorites:", err.message);
+  }
+}
+
+/**
+ * Checks whether an artist or an artwork is a favorite.
+ * @function isFavorite
+ * @param {"artists"|"artworks"} kind - Favorite list
+ * @param {string} key - Artist name or artwork link
+ * @returns {boolean} True if favorite
+ */
+function isFavorite(kind, key) {
+  return favorites[kind].includes(key);
+}
+
+/**
+ * Adds or removes a favorite.
+ * @function toggleFavorite
+ * @param {"artists"|"artworks"} kind - Favorite list
+ * @param {string} key - Artist name or artwork link
+ * @returns {boolean} True if the item is now a favorite
+ */
+function toggleFavorite(kind, key) {
+  const favorite = !isFavorite(kind, key);
+  favorites[kind] = favorite
+    ? [key, ...favorites[kind]]
+    : favorites[kind].filter(item => item !== key);
+  saveFavorites();
+
+  // Keeps every star of the item in sync
+  document
+    .querySelectorAll(`.favorite-toggle[data-kind="${kind}"]`)
+    .forEach(star => {
+      if (star.dataset.key === key) updateFavoriteButton(star);
+    });
+  return favorite;
+}
+
+/**
+ * Creates the star toggle of an artist or an artwork.
+ * @function createFavoriteButton
+ * @param {"artists"|"artworks"} kind - Favorite list
+ * @param {string} key - Artist name or artwork link
+ * @returns {HTMLButtonElement} The star button
+ */
+function createFavoriteButton(kind, key) {
+  const star = document.createElement("button");
+  star.type = "button";
+  star.className = "favorite-toggle";
+  star.dataset.kind = kind;
+  star.dataset.key = key;
+  addClick(star, clickFavorite);
+  updateFavoriteButton(star);
+  return star;
+}
+
+/**
+ * Reflects the favorite state on a star button.
+ * @function updateFavoriteButton
+ * @param {HTMLButtonElement} star - Button from createFavoriteButton()
+ */
+function updateFavoriteButton(star) {
+  const favorite = isFavorite(star.dataset.kind, star.dataset.key);
+  const name = star.dataset.kind === "artists" ? star.dataset.key : star.dataset.key.split("/").pop();
+  star.innerText = favorite ? "★" : "☆";
+  star.classList.toggle("active", favorite);
+  star.setAttribute("aria-pressed", String(favorite));
+  star.setAttribute("aria-label", translate(favorite ? "favorites.remove" : "favorites.add", { name }));
+}
+
+/**
+ * Handles clicks on a star without opening the card or preview below it.
+ * @function clickFavorite
+ * @param {MouseEvent} event - Click on a star button
+ */
+function clickFavorite(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  toggleFavorite(event.currentTarget.dataset.kind, event.currentTarget.dataset.key);
+}
+
+/**
+ * Loads the favorites route: favorite artists, then favorite artworks.
+ * @function loadFavorites
+ * @param {object} session - Load session of the favorites route
+ * @description Artist thumbnails come from both artist lists, artists no
+ * longer listed keep a folder placeholder so they can be removed. Artworks
+ * are shown most recently added first, whatever their artist, and mounted
+ * GALLERY_WINDOW_SIZE at a time like on artist pages.
+ * @note Favorites of NSFW artists, or of unknown artists while the NSFW list
+ * is unavailable, need the age confirmation, see confirmNsfw()
+ */
+function loadFavorites(session) {
+  setLoading(session, true);
+
+  Promise.all(
+    ["false", "true"].map(nsfw =>
+      fetchList(`artists.php?isNsfw=${nsfw}`, { signal: session.signal }).catch(err => {
+        if (err.name !== "AbortError") console.error("Failed to update artist list:", err.message);
+        return null;
+      })
+    )
+  )
+    .then(([sfw, nsfw]) => {
+      if (!isCurrentSession(session)) return undefined;
+      if (sfw) addSfwArtists(Object.keys(sfw));
+      if (nsfw) addNsfwArtists(Object.keys(nsfw));
+
+      const shown = [...favorites.artists, ...favorites.artworks.map(link => link.split("/")[2])];
+      return confirmNsfw(shown.some(isNsfwArtist)).then(confirmed => {
+        if (!isCurrentSession(session)) return;
+        if (confirmed) {
+          generateFavorites({ ...sfw, ...nsfw });
+        } else {
+          // Declined or dropped age gate: back to the SFW artists
+          navigate("welcome", { isNsfw: false }, { replace: true });
+        }
+      });
+    })
+    .catch(err => {
+      if (err.name !== "AbortError") console.error("Failed to load favorites:", err.message);
+    })
+    .finally(() => setLoading(session, false));
+}
+
+/**
+ * Fills the gallery of the favorites route.
+ * @function generateFavorites
+ * @param {Object<string, string>} artists - Thumbnails by artist, from both artist lists
+ */
+function generateFavorites(artists) {
+  favorites.artists.forEach(artistName => {
+    const card = generateCard(artistName, artists[artistName] || "./assets/img/folder.png");
+    addClick(card, followRoute);
+  });
+  appendGallerySentinel();
+  favorites.artworks.forEach((link, position) => generatePreview(link, position));
+
+  if (!favorites.artists.length && !favorites.artworks.length) {
+    const empty = document.createElement("p");
+    empty.className = "favorites-empty";
+    empty.innerText = translate("favorites.empty");
+    document.querySelector("#gallery").appendChild(empty);
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * gallery.js - Lazy loading and windowed rendering of #gallery
+ * Loads media only near the viewport, mounts large artist galleries in steps
+ * and releases the media of previews scrolled far away
+ */
+
+// Distance from the visible gallery at which media start loading
+const LAZY_ROOT_MARGIN = "600px 0px";
+// Distance from the visible gallery beyond which previews release their media
+const RECYCLE_ROOT_MARGIN = "2400px 0px";
+// Previews mounted per window step on artist pages
+const GALLERY_WINDOW_SIZE = 48;
+// sessionStorage key prefix of the welcome page scroll positions
+const WELCOME_SCROLL_KEY = "comex.welcomeScroll";
+
+// Callbacks waiting for their element to come near the viewport
+const visibilityCallbacks = new WeakMap();
+let visibilityObserver = null;
+
+// Media detached from recycled previews, by `.img-div` link
+const recycledMedia = new WeakMap();
+let recycleObserver = null;
+
+// Previews of the current artist page
+const galleryWindow = {
+  limit: GALLERY_WINDOW_SIZE, // Previews ranked below this position are mounted
+  pending: [], // Generated previews waiting for the window to reach them
+  sentinel: null, // Element at the end of #gallery that extends the window
+};
+
+// Whether the welcome page scroll can be recorded, false while it is restored
+let welcomeScrollReady = false;
+
+/**
+ * Runs a callback once an element of the gallery comes near the viewport.
+ * @function whenVisible
+ * @param {HTMLElement} element - Element inside #gallery
+ * @param {Function} callback - Called once with the element
+ * @note Falls back on an immediate call without IntersectionObserver support
+ */
+function whenVisible(element, callback) {
+  if (!("IntersectionObserver" in window)) {
+    callback(element);
+    return;
+  }
+
+  if (!visibilityObserver) {
+    visibilityObserver = new IntersectionObserver(
+      entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          const f = visibilityCallbacks.get(entry.target);
+          visibilityObserver.unobserve(entry.target);
+          visibilityCallbacks.delete(entry.target);
+          if (f) f(entry.target);
+        });
+      },
+      { root: document.querySelector("#gallery"), rootMargin: LAZY_ROOT_MARGIN }
+    );
+  }
+
+  visibilityCallbacks.set(element, callback);
+  visibilityObserver.observe(element);
+}
+
+/**
+ * Sets the source of an image or an audio player once it comes near the viewport.
+ * @function lazyLoad
+ * @param {HTMLImageElement|HTMLAudioElement} media - Element inside #gallery
+ * @param {string} src - Media URL
+ */
+function lazyLoad(media, src) {
+  media.dataset.src = src;
+  whenVisible(media, () => {
+    media.src = media.dataset.src;
+    delete media.dataset.src;
+  });
+}
+
+/**
+ * Follows a mounted preview to release its media when scrolled far away.
+ * @function observeRecycling
+ * @param {HTMLElement} preview - `.preview` element inside #gallery
+ * @note Previews stay mounted without IntersectionObserver support
+ */
+function observeRecycling(preview) {
+  if (!("IntersectionObserver" in window)) return;
+
+  if (!recycleObserver) {
+    recycleObserver = new IntersectionObserver(
+      entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            restorePreview(entry.target);
+          } else {
+            recyclePreview(entry.target);
+          }
+        });
+      },
+      { root: document.querySelector("#gallery"), rootMargin: RECYCLE_ROOT_MARGIN }
+    );
+  }
+  recycleObserver.observe(preview);
+}
+
+/**
+ * Detaches the media of a preview, keeping the tile and its controls.
+ * @function recyclePreview
+ * @param {HTMLElement} preview - `.preview` element inside #gallery
+ * @description The content of the `.img-div` link (image, player, excerpt,
+ * pdf page) leaves the DOM and players are paused. The tile keeps its size,
+ * position, link and buttons, so selectors and stars keep finding it.
+ */
+function recyclePreview(preview) {
+  const container = preview.querySelector(".img-div");
+  if (!preview.isConnected || !container || recycledMedia.has(container)) return;
+
+  const media = document.createDocumentFragment();
+  media.append(...container.childNodes);
+  media.querySelectorAll("video, audio").forEach(player => player.pause());
+  recycledMedia.set(container, media);
+  preview.classList.add("recycled");
+}
+
+/**
+ * Puts back the media of a recycled preview.
+ * @function restorePreview
+ * @param {HTMLElement} preview - `.preview` element inside #gallery
+ * @note Safe to call on a preview that is not recycled
+ */
+function restorePreview(preview) {
+  const container = preview.querySelector(".img-div");
+  const media = container && recycledMedia.get(container);
+  if (!media) return;
+
+  recycledMedia.delete(container);
+  container.appendChild(media);
+  preview.classList.remove("recycled");
+}
+
+/**
+ * Resets the preview window for a new route.
+ * @function resetGalleryWindow
+ * @param {boolean} isHome - Galleries sharing the welcome page layout start
+ * without sentinel
+ * @description Drops pending previews and, on artist pages, appends the
+ * sentinel that mounts the next GALLERY_WINDOW_SIZE previews when scrolled to.
+ * Previews of the previous route are no longer followed for recycling.
+ * @note The favorites route appends its sentinel after the artist cards, see
+ * appendGallerySentinel()
+ */
+function resetGalleryWindow(isHome) {
+  galleryWindow.limit = GALLERY_WINDOW_SIZE;
+  galleryWindow.pending = [];
+  galleryWindow.sentinel = null;
+  if (recycleObserver) recycleObserver.disconnect();
+  welcomeScrollReady = false;
+  if (!isHome) appendGallerySentinel();
+}
+
+/**
+ * Appends the sentinel extending the preview window to #gallery.
+ * @function appendGallerySentinel
+ * @note Previews are mounted before it, so it stays after the other tiles
+ */
+function appendGallerySentinel() {
+  const sentinel = document.createElement("div");
+  sentinel.className = "gallery-sentinel";
+  sentinel.setAttribute("aria-hidden", "true");
+  document.querySelector("#gallery").appendChild(sentinel);
+  galleryWindow.sentinel = sentinel;
+  observeSentinel();
+}
+
+/**
+ * Watches the sentinel to extend the window when it comes into view.
+ * @function observeSentinel
+ */
+function observeSentinel() {
+  const sentinel = galleryWindow.sentinel;
+  if (!sentinel || !galleryWindow.pending.length) return;
+  whenVisible(sentinel, () => {
+    if (galleryWindow.sentinel !== sentinel) return;
+    extendGalleryWindow(galleryWindow.limit + GALLERY_WINDOW_SIZE);
+  });
+}
+
+/**
+ * Adds a preview to the gallery, or keeps it pending outside the window.
+ * @function mountPreview
+ * @param {HTMLElement} preview - Generated `.preview` element
+ * @description Previews are kept in position order; previews without
+ * position are appended right away. Mounted previews release their media
+ * once scrolled far away, see recyclePreview().
+ */
+function mountPreview(preview) {
+  const position = preview.dataset.position === undefined ? undefined : Number(preview.dataset.position);
+
+  if (position !== undefined && position >= galleryWindow.limit) {
+    galleryWindow.pending.push(preview);
+    observeSentinel();
+    return;
+  }
+
+  // Insert preview before the first tile ranked after it
+  const gallery = document.querySelector("#gallery");
+  const next = Array.from(gallery.querySelectorAll(".preview")).find(
+    tile => position !== undefined && Number(tile.dataset.position) > position
+  );
+  gallery.insertBefore(preview, next || galleryWindow.sentinel);
+  observeRecycling(preview);
+}
+
+/**
+ * Mounts the pending previews ranked below a new window limit.
+ * @function extendGalleryWindow
+ * @param {number} limit - New window limit (exclusive position)
+ * @returns {boolean} True if previews were mounted
+ */
+function extendGalleryWindow(limit) {
+  galleryWindow.limit = Math.max(galleryWindow.limit, limit);
+  const ready = galleryWindow.pending.filter(preview => Number(preview.dataset.position) < galleryWindow.limit);
+  galleryWindow.pending = galleryWindow.pending.filter(preview => !ready.includes(preview));
+  ready
+    .sort((a, b) => a.dataset.position - b.dataset.position)
+    .forEach(mountPreview);
+  observeSentinel();
+  return ready.length > 0;
+}
+
+/**
+ * Removes a preview from the pending list.
+ * @function unmountPendingPreview
+ * @param {string} id - Id of the preview to drop
+ */
+function unmountPendingPreview(id) {
+  galleryWindow.pending = galleryWindow.pending.filter(preview => preview.id !== id);
+}
+
+/**
+ * Counts the previews of the gallery, mounted or not.
+ * @function countPreviews
+ * @returns {number} Number of generated previews
+ */
+function countPreviews() {
+  return document.querySelectorAll("#gallery .preview").length + galleryWindow.pending.length;
+}
+
+/**
+ * Records the welcome page scroll position for the current filter.
+ * @function saveWelcomeScroll
+ * @note Bound to the #gallery scroll event, ignored while loading
+ */
+function saveWelcomeScroll() {
+  if (!welcomeScrollReady || !isRoute("welcome")) return;
+  sessionStorage.setItem(`${WELCOME_SCROLL_KEY}.${isNsfw}`, document.querySelector("#gallery").scrollTop);
+}
+
+/**
+ * Restores the welcome page scroll position once the cards are rendered.
+ * @function restoreWelcomeScroll
+ */
+function restoreWelcomeScroll() {
+  const scrollTop = Number(sessionStorage.getItem(`${WELCOME_SCROLL_KEY}.${isNsfw}`));
+  if (scrollTop) document.querySelector("#gallery").scrollTop = scrollTop;
+  welcomeScrollReady = true;
+}
@@ -1,8 +1,30 @@
-// Define supported file types for pictures, videos, audio, and text
-const pictureTypes = ["jpg", "jpeg", "png", "gif"];
-const videoTypes = ["mp4", "mov", "avi"];
-const audioTypes = ["wav", "mp3"];
-const textTypes = ["txt", "md"];
+// Registry of supported file types by extension
+// - kind: how the file is previewed (picture, video, audio, text, pdf)
+// - mime: type announced to the browser players
+// - thumbnail: whether thumbnail.php generates a webp thumbnail, other pictures are shown as is
+const fileTypes = {
+  jpg: { kind: "picture", mime: "image/jpeg", thumbnail: true },
+  jpeg: { kind: "picture", mime: "image/jpeg", thumbnail: true },
+  png: { kind: "picture", mime: "image/png", thumbnail: true },
+  gif: { kind: "picture", mime: "image/gif", thumbnail: true },
+  webp: { kind: "picture", mime: "image/webp", thumbnail: false },
+  avif: { kind: "picture", mime: "image/avif", thumbnail: false },
+  mp4: { kind: "video", mime: "video/mp4" },
+  mov: { kind: "video", mime: "video/quicktime" },
+  avi: { kind: "video", mime: "video/x-msvideo" },
+  webm: { kind: "video", mime: "video/webm" },
+  wav: { kind: "audio", mime: "audio/wav" },
+  mp3: { kind: "audio", mime: "audio/mpeg" },
+  ogg: { kind: "audio", mime: "audio/ogg" },
+  flac: { kind: "audio", mime: "audio/flac" },
+  txt: { kind: "text", mime: "text/plain" },
+  md: { kind: "text", mime: "text/markdown" },
+  pdf: { kind: "pdf", mime: "application/pdf" },
+};
+// Fallback entry for extensions missing from the registry
+const unknownFileType = { kind: "unknown", mime: "application/octet-stream" };
+// Number of characters shown on text file previews
+const TEXT_EXCERPT_LENGTH = 600;
 
 /**
  * Generates the header content structure with enhanced accessibility features
@@ -12,9 +34,9 @@ function generateHeader(root) {
   // Create return button with accessibility features
   const btn = document.createElement("button");
   btn.id = "returnBtn";
-  btn.innerText = "Return";
+  btn.innerText = translate("header.return");
   // ARIA attributes for button
-  btn.setAttribute("aria-label", "Return to previous page");
+  btn.setAttribute("aria-label", translate("header.returnLabel"));
   btn.setAttribute("aria-keyshortcuts", "Alt+ArrowLeft");
   btn.setAttribute("role", "button"); // Redundant but explicit for screen readers
   btn.setAttribute("tabindex", "0"); // Ensure keyboard focusability
@@ -22,7 +44,8 @@ function generateHeader(root) {
   // Container for button (semantic grouping)
   const span = document.createElement("span");
   span.setAttribute("role", "group");
-  span.setAttribute("aria-label", "Navigation controls");
+  span.setAttribute("aria-label", translate("header.controls"));
+  span.appendChild(generateNews());
   span.appendChild(btn);
 
   // Main title with accessibility features
@@ -32,40 +55,47 @@ function generateHeader(root) {
   // ARIA attributes for heading
   h1.setAttribute("aria-level", "1");
   h1.setAttribute("role", "heading");
-  h1.setAttribute("aria-roledescription", "Site title");
+  h1.setAttribute("aria-roledescription", translate("gallery.siteTitle"));
 
   // Header element with landmark role
   const header = document.createElement("header");
   header.setAttribute("role", "banner");
   header.setAttribute("aria-labelledby", "Comex");
-  header.setAttribute("aria-label", "Comex header");
+  header.setAttribute("aria-label", translate("header.label"));
 
   // NSFW/SFW Toggle Section
   // Radio button group for content filtering
+  // Each label carries the route it leads to, see followRoute()
   const sfwInput = createRadioInput("sfw", "false");
   const sfwLabel = createLabel(sfwInput.id);
+  sfwLabel.dataset.route = "welcome";
+  sfwLabel.dataset.isNsfw = "false";
   const sfwBtn = createSpan(sfwInput, sfwLabel);
 
   const nsfwInput = createRadioInput("nsfw", "true");
   const nsfwLabel = createLabel(nsfwInput.id);
+  nsfwLabel.dataset.route = "welcome";
+  nsfwLabel.dataset.isNsfw = "true";
   const nsfwBtn = createSpan(nsfwInput, nsfwLabel);
 
+  // Favorites route, mixing artists of both filters
+  const favoritesInput = createRadioInput("favorites", "favorites");
+  const favoritesLabel = createLabel(favoritesInput.id);
+  favoritesLabel.innerText = translate("nav.favorites");
+  favoritesLabel.dataset.route = "favorites";
+  const favoritesBtn = createSpan(favoritesInput, favoritesLabel);
+
   const contentFilters = document.createElement("div");
   contentFilters.className = "content-filters";
   contentFilters.setAttribute("role", "radiogroup");
-  contentFilters.setAttribute("aria-label", "Content filter");
+  contentFilters.setAttribute("aria-label", translate("nav.filters"));
   contentFilters.appendChild(sfwBtn);
   contentFilters.appendChild(nsfwBtn);
+  contentFilters.appendChild(favoritesBtn);
 
   // Reload filter buttons
   reloadFiltersButtons(contentFilters);
 
-  // Parse URL parameters
-  const searchParams = new URLSearchParams(window.location.search);
-  if (searchParams.size === 0) {
-    contentFilters.setAttribute("style", "display:none");
-  }
-
   // Search Results Counter
   // Accessible live region for dynamic updates
   const count = document.createElement("div");
@@ -83,8 +113,8 @@ function generateHeader(root) {
   search.name = "search";
   search.id = search.name;
   search.type = "text";
-  search.placeholder = "Search...";
-  search.setAttribute("aria-label", "Search content");
+  search.placeholder = translate("search.placeholder");
+  search.setAttribute("aria-label", translate("search.label"));
   search.setAttribute("autocomplete", "off");
   search.setAttribute("role", "searchbox");
 
@@ -94,7 +124,7 @@ function generateHeader(root) {
   const suggestions = document.createElement("ul");
   suggestions.id = "suggestions";
   suggestions.setAttribute("role", "list");
-  suggestions.setAttribute("aria-label", "Search suggestions");
+  suggestions.setAttribute("aria-label", translate("search.suggestions"));
 
   const suggestionsPart = document.createElement("span");
   suggestionsPart.appendChild(suggestions);
@@ -106,10 +136,26 @@ function generateHeader(root) {
   searchbar.appendChild(inputPart);
   searchbar.appendChild(suggestionsPart);
 
+  // Offline Indicator
+  // Shown while the backend is unreachable, see setOffline()
+  const offline = document.createElement("div");
+  offline.id = "offline";
+  offline.className = "offline-status";
+  offline.innerText = translate("nav.offline");
+  offline.hidden = true;
+  offline.setAttribute("role", "status");
+  offline.setAttribute("aria-live", "polite");
+
   // Main Navigation
   const nav = document.createElement("nav");
-  nav.setAttribute("aria-label", "Main navigation");
+  nav.setAttribute("aria-label", translate("nav.label"));
+  nav.appendChild(offline);
   nav.appendChild(contentFilters);
+  nav.appendChild(generateNsfwBlurToggle());
+  nav.appendChild(generateArtistSort());
+  nav.appendChild(generateTagFilter());
+  nav.appendChild(generateThemeSelect());
+  nav.appendChild(generateLocaleSelect());
   nav.appendChild(searchbar);
 
   const bumper = document.createElement("div");
@@ -134,8 +180,8 @@ function generateMain(root) {
   const gallery = document.createElement("div");
   gallery.id = "gallery";
   gallery.setAttribute("role", "region");
-  gallery.setAttribute("aria-label", "Content gallery");
-  if (document.title !== "Welcome | ComEx") {
+  gallery.setAttribute("aria-label", translate("gallery.label"));
+  if (!isRoute("welcome")) {
     gallery.style.marginTop = "0rem";
   }
 
@@ -146,7 +192,10 @@ function generateMain(root) {
   spinnerLoad.className = "loading-text";
   spinnerLoad.setAttribute("role", "status");
   spinnerLoad.setAttribute("aria-live", "polite");
-  spinnerLoad.innerHTML = "Loading<div id='progressMore'></div>";
+  // Dots are appended to #progressMore while thumbnails are generated
+  const progressMore = document.createElement("div");
+  progressMore.id = "progressMore";
+  spinnerLoad.append(translate("gallery.loading"), progressMore);
 
   const spinnerNumber = document.createElement("div");
   spinnerNumber.id = "spinnerNumber";
@@ -185,8 +234,8 @@ function generateMain(root) {
 function generateCard(artistName, thumb) {
   // Image element setup
   const img = document.createElement("img");
-  img.src = thumb.replace("../", host);
-  img.alt = `picture by ${artistName}`;
+  lazyLoad(img, thumb.replace("../", host));
+  img.alt = translate("gallery.cardAlt", { artist: artistName });
 
   // Special handling for placeholder image
   if (thumb === "./assets/img/folder.png") {
@@ -202,6 +251,8 @@ function generateCard(artistName, thumb) {
   const div = document.createElement("div");
   div.className = "card";
   div.id = artistName;
+  div.dataset.route = "artist";
+  div.dataset.artist = artistName;
   div.appendChild(container);
 
   // Image load handler for layout adjustments
@@ -214,59 +265,188 @@ function generateCard(artistName, thumb) {
     }
   };
 
+  // Favorite and tag toggles, do not open the artist page
+  div.appendChild(createFavoriteButton("artists", artistName));
+  div.appendChild(createTagButton("artists", artistName));
+  applyTagFilterTo(div);
+
+  // Blurred while the artist belongs to the NSFW list, see nsfw.js
+  markNsfwTile(div, artistName);
+
+  // Ribbon for artists listed by new.php and not viewed yet
+  if (isNewArtist(artistName)) {
+    div.appendChild(createNewRibbon());
+  }
+
   // Append card to gallery
   document.querySelector("#gallery").appendChild(div);
   return div;
 }
 
+/**
+ * Generates a folder tile for a subfolder of the artist gallery
+ * @param {string} artistName - The name of the artist
+ * @param {string} path - Folder path inside the artist folder, e.g. "sketches/2024"
+ * @param {number} count - Number of files inside the folder and its subfolders
+ * @returns {HTMLElement} The generated folder tile
+ */
+function generateFolder(artistName, path, count) {
+  const name = path.split("/").pop();
+
+  const img = document.createElement("img");
+  img.src = "./assets/img/folder.png";
+  img.alt = "";
+  img.style.width = "200px";
+
+  const label = document.createElement("span");
+  label.className = "folder-count";
+  label.innerText = translate(count === 1 ? "gallery.file" : "gallery.files", { count: formatNumber(count) });
+
+  const container = document.createElement("a");
+  container.className = "img-div";
+  container.href = getRouteUrl("folder", { path });
+  container.append(img, label);
+
+  const div = document.createElement("div");
+  div.className = "folder";
+  div.dataset.name = name;
+  div.dataset.route = "folder";
+  div.dataset.path = path;
+  div.setAttribute("aria-label", translate("gallery.folder", { name, files: label.innerText }));
+  div.appendChild(container);
+  addClick(div, followRoute);
+
+  // Folders come first, before the previews of the current folder
+  const gallery = document.querySelector("#gallery");
+  const next = gallery.querySelector(".preview, .gallery-sentinel");
+  gallery.insertBefore(div, next);
+  return div;
+}
+
+/**
+ * Generates the breadcrumb trail of the artist gallery
+ * @param {string} artistName - The name of the artist, root of the trail
+ * @param {string} path - Current folder path inside the artist folder, "" for the root
+ * @returns {HTMLElement} The breadcrumb navigation, first element of the gallery
+ */
+function generateBreadcrumbs(artistName, path) {
+  const segments = path ? path.split("/") : [];
+  const list = document.createElement("ol");
+
+  [artistName, ...segments].forEach((segment, index) => {
+    const li = document.createElement("li");
+    const target = segments.slice(0, index).join("/");
+    if (index === segments.length) {
+      // Current folder, not a link
+      const current = document.createElement("span");
+      current.innerText = segment;
+      current.setAttribute("aria-current", "page");
+      li.appendChild(current);
+    } else {
+      // The artist folder itself is the artist route
+      const route = target ? "folder" : "artist";
+      const link = document.createElement("a");
+      link.href = getRouteUrl(route, { path: target });
+      link.dataset.route = route;
+      link.dataset.path = target;
+      link.innerText = segment;
+      addClick(link, followRoute);
+      li.appendChild(link);
+    }
+    list.appendChild(li);
+  });
+
+  const nav = document.createElement("nav");
+  nav.className = "breadcrumbs";
+  nav.setAttribute("aria-label", translate("gallery.breadcrumbs"));
+  nav.appendChild(list);
+
+  const gallery = document.querySelector("#gallery");
+  gallery.insertBefore(nav, gallery.firstChild);
+  return nav;
+}
+
+/**
+ * Gets the lowercase file extension from a link
+ * @param {string} link - The URL or path of the file
+ * @returns {string} The file extension without the dot
+ */
+function getExtension(link) {
+  const filename = link.split("/").pop() || "";
+  return filename.split(".").pop().toLowerCase();
+}
+
+/**
+ * Looks up the registry entry of a file
+ * @param {string} link - The URL or path of the file
+ * @returns {{kind: string, mime: string, thumbnail?: boolean}} The file type, `unknownFileType` if not supported
+ */
+function getFileType(link) {
+  return fileTypes[getExtension(link)] || unknownFileType;
+}
+
 /**
  * Generates a preview element for a given link
  * @param {string} link - The URL of the content to preview
- * @returns {HTMLElement} The generated preview element
+ * @param {number} [position] - Rank in the artist list, keeps the gallery ordered when previews arrive out of order
+ * @returns {HTMLElement} The generated preview element, not yet in the gallery if outside the window
  */
-function generatePreview(link) {
-  // Helper function to get the file extension from a link
-  const getExtension = (link) => {
-    const filename = link.split("/").pop() || "";
-    return filename.split(".").pop().toLowerCase();
-  };
-
+function generatePreview(link, position) {
   const img = document.createElement("img");
-  const extension = getExtension(link);
+  const type = getFileType(link);
 
   let addon;
 
   // Configure image based on type
-  switch (true) {
-    case pictureTypes.includes(extension):
-      img.src = link.replace("../commissions/", host + "thumbs/") + ".webp";
+  switch (type.kind) {
+    case "picture":
+      lazyLoad(
+        img,
+        type.thumbnail
+          ? link.replace("../commissions/", host + "thumbs/") + ".webp"
+          : link.replace("../", host)
+      );
       break;
-    case videoTypes.includes(extension):
+    case "video":
       img.src = "./assets/img/film.png";
       img.style.width = "200px";
       addon = document.createElement("video");
       addon.setAttribute("controls", null);
       addon.preload = "metadata";
       const source = document.createElement("source");
-      source.type = "video/" + extension;
-      source.src = link.replace("../", host);
+      source.type = type.mime;
+      source.dataset.src = link.replace("../", host);
       addon.appendChild(source);
+      // A source added after the player is created needs load() to be picked
+      whenVisible(addon, video => {
+        source.src = source.dataset.src;
+        delete source.dataset.src;
+        video.load();
+      });
       break;
-    case audioTypes.includes(extension):
+    case "audio":
       img.src = "./assets/img/music.png";
       addon = document.createElement("audio");
       addon.setAttribute("controls", null);
-      addon.src = link.replace("../", host);
       addon.preload = "metadata";
+      lazyLoad(addon, link.replace("../", host));
       break;
-    case textTypes.includes(extension):
+    case "text":
       img.src = "./assets/img/file.png";
       img.style.width = "200px";
+      addon = generateTextExcerpt(link, img);
+      break;
+    case "pdf":
+      img.src = "./assets/img/file.png";
+      img.style.width = "200px";
+      addon = generatePdfPage(link, img);
       break;
     default:
-      img.src = link.replace("../", host);
+      img.src = "./assets/img/file.png";
+      img.style.width = "200px";
+      addon = generateDownloadCard(link);
   }
-  img.alt = `Preview for ${link.replace("../", host)}`;
+  img.alt = translate("gallery.previewAlt", { url: link.replace("../", host) });
 
   // Create and append elements
   const container = document.createElement("a");
@@ -281,10 +461,21 @@ function generatePreview(link) {
 
   const previewDiv = document.createElement("div");
   previewDiv.className = "preview";
+  // Artist and full path, two artists may share a folder layout
   previewDiv.id =
-    link.split("/").splice(-2).join("").replaceAll(" ", "") ||
+    link.split("/").slice(2).join("/").replaceAll(" ", "") ||
     Date.now().toString();
+  previewDiv.dataset.link = link;
+  if (position !== undefined) previewDiv.dataset.position = position;
   previewDiv.append(container);
+  previewDiv.append(createFavoriteButton("artworks", link));
+  previewDiv.append(createTagButton("artworks", link));
+  previewDiv.append(createLedgerBadge(link));
+  applyTagFilterTo(previewDiv);
+  markNsfwTile(previewDiv, link.split("/")[2]);
+
+  // Open the lightbox instead of a new tab
+  addClick(previewDiv, openPreview);
 
   // Image load handler for layout adjustments
   img.onload = () => {
@@ -309,9 +500,115 @@ function generatePreview(link) {
       .querySelector("#gallery")
       .removeChild(document.getElementById(previewDiv.id));
   }
+  unmountPendingPreview(previewDiv.id);
+
+  // Insert preview in the gallery, or keep it for a later window
+  mountPreview(previewDiv);
+  return previewDiv;
+}
+
+/**
+ * Generates the excerpt shown on a text file preview
+ * @param {string} link - The relative path of the txt or md file
+ * @param {HTMLImageElement} icon - The file icon, shown again if the file cannot be read
+ * @returns {HTMLElement} The excerpt element, filled once the file is fetched near the viewport
+ */
+function generateTextExcerpt(link, icon) {
+  const excerpt = document.createElement("div");
+  excerpt.className = "text-excerpt";
+  excerpt.setAttribute("aria-label", translate("gallery.excerpt", { name: link.split("/").pop() }));
+
+  whenVisible(excerpt, () => {
+    fetchTextFile(link)
+      .then(text => {
+        renderTextFile(text.slice(0, TEXT_EXCERPT_LENGTH), getExtension(link), excerpt);
+      })
+      .catch(err => {
+        console.error("Failed to read text file:", err.message);
+        excerpt.remove();
+        icon.style.display = "";
+      });
+  });
+
+  return excerpt;
+}
+
+/**
+ * Generates the first page preview of a PDF file
+ * @param {string} link - The relative path of the pdf file
+ * @param {HTMLImageElement} icon - The file icon, used when the browser cannot display PDFs
+ * @returns {HTMLObjectElement} The embedded first page
+ */
+function generatePdfPage(link, icon) {
+  const page = document.createElement("object");
+  page.className = "pdf-page";
+  page.type = "application/pdf";
+  page.tabIndex = -1;
+  page.setAttribute("aria-label", translate("gallery.pdfPage", { name: link.split("/").pop() }));
+
+  // Browsers without a PDF viewer render the object content instead
+  const fallback = icon.cloneNode();
+  fallback.style.display = "";
+  page.appendChild(fallback);
+
+  // The document is only requested near the viewport
+  whenVisible(page, () => {
+    page.data = `${link.replace("../", host)}#page=1&toolbar=0&navpanes=0&scrollbar=0&view=FitH`;
+  });
+  return page;
+}
+
+/**
+ * Generates the download card of a file without preview
+ * @param {string} link - The relative path of the file
+ * @param {boolean} [withLink=false] - Adds a download link, for the lightbox
+ * @returns {HTMLElement} The download card
+ */
+function generateDownloadCard(link, withLink = false) {
+  const filename = decodeURIComponent(link.split("/").pop());
+
+  const icon = document.createElement("img");
+  icon.src = "./assets/img/file.png";
+  icon.alt = "";
+
+  const name = document.createElement("span");
+  name.className = "download-name";
+  name.innerText = filename;
+
+  const card = document.createElement("div");
+  card.className = "download-card";
+  card.append(icon, name);
+
+  if (withLink) {
+    const download = document.createElement("a");
+    download.href = link.replace("../", host);
+    download.download = filename;
+    download.innerText = translate("gallery.download");
+    card.append(download);
+  } else {
+    const hint = document.createElement("span");
+    hint.className = "download-hint";
+    hint.innerText = translate("gallery.downloadHint", { type: getExtension(link).toUpperCase() });
+    card.append(hint);
+  }
+  return card;
+}
 
-  // Append preview to gallery
-  document.querySelector("#gallery").append(previewDiv);
+/**
+ * Renders a text file into an element, as Markdown or as plain text
+ * @param {string} text - The file content
+ * @param {string} extension - The file extension ("md" is rendered as Markdown)
+ * @param {HTMLElement} root - The element receiving the content
+ */
+function renderTextFile(text, extension, root) {
+  root.innerHTML = "";
+  if (extension === "md") {
+    root.appendChild(renderMarkdown(text));
+  } else {
+    const pre = document.createElement("pre");
+    pre.textContent = text;
+    root.appendChild(pre);
+  }
 }
 
 /**
@@ -0,0 +1,450 @@
+/**
+ * i18n.js - Translations shared by the explorer and the dashboard
+ * Message catalogue, locale detection and locale-aware number formatting
+ */
+
+// Supported locales with their names in their own language, the first one is the default
+const LOCALES = {
+  en: "English",
+  fr: "Français",
+};
+// localStorage key holding the chosen locale, read by both pages
+const LOCALE_KEY = "comex.locale";
+
+// Messages by locale; "{name}" placeholders are filled by translate()
+const MESSAGES = {
+  en: {
+    "header.return": "Return",
+    "header.returnLabel": "Return to previous page",
+    "header.controls": "Navigation controls",
+    "header.label": "Comex header",
+    "nav.label": "Main navigation",
+    "nav.filters": "Content filter",
+    "nav.favorites": "★ Favorites",
+    "nav.offline": "Offline - cached collection",
+    "search.placeholder": "Search...",
+    "search.label": "Search content",
+    "search.suggestions": "Search suggestions",
+    "news.button": "What's new",
+    "news.buttonLabel": "What's new, {count} unseen",
+    "news.title": "New commissions",
+    "news.markSeen": "Mark all as seen",
+    "news.empty": "Nothing new",
+    "news.added": "Added on {date}",
+    "news.ribbon": "NEW",
+    "sort.label": "Sort",
+    "sort.alpha": "A → Z",
+    "sort.commissions": "Most commissions",
+    "sort.updated": "Changed since last visit",
+    "sort.new": "Newly added",
+    "sort.favorites": "Favorites first",
+    "nsfw.blur": "Blur NSFW",
+    "tags.filter": "Tag filter",
+    "tags.filterPlaceholder": "Filter tags...",
+    "tags.filterAdd": "Add a tag to the filter",
+    "tags.modeAnd": "Match all of the tags, click to switch",
+    "tags.modeOr": "Match any of the tags, click to switch",
+    "tags.remove": "Remove tag {tag}",
+    "search.indexing": "Indexing artworks...",
+    "search.unavailable": "Artwork search unavailable",
+    "search.artworks": "Artworks",
+    "search.noArtwork": "No matching artwork",
+    "search.artworkCount": "{count} artworks",
+    "route.artist": "Commissions by {artist}",
+    "route.favorites": "Favorites",
+    "route.favoritesDescription": "Favorite artists and commissions",
+    "route.welcome": "Welcome",
+    "route.welcomeDescription": "Explore and manage commissions effortlessly with Commission Xplorer.",
+    "gallery.label": "Content gallery",
+    "gallery.loading": "Loading",
+    "gallery.siteTitle": "Site title",
+    "gallery.cardAlt": "picture by {artist}",
+    "gallery.file": "{count} file",
+    "gallery.files": "{count} files",
+    "gallery.folder": "Folder {name}, {files}",
+    "gallery.breadcrumbs": "Folder",
+    "gallery.previewAlt": "Preview for {url}",
+    "gallery.excerpt": "Excerpt of {name}",
+    "gallery.pdfPage": "First page of {name}",
+    "gallery.download": "Download",
+    "gallery.downloadHint": "{type} file · Download",
+    "favorites.add": "Add {name} to favorites",
+    "favorites.remove": "Remove {name} from favorites",
+    "favorites.empty": "No favorites yet: use the ☆ on artists and artworks to add them here.",
+    "tags.add": "Add tags",
+    "tags.edit": "Edit tags: {tags}",
+    "tags.placeholder": "Add a tag...",
+    "tags.new": "New tag",
+    "tags.editor": "Tags of {name}",
+    "nsfw.gateTitle": "Adult content",
+    "nsfw.gateText": "This part of the collection contains NSFW artworks. Confirm that you are of legal age to view them.",
+    "nsfw.gateConfirm": "I am 18 or older",
+    "nsfw.gateLeave": "Leave",
+    "lightbox.label": "Artwork viewer",
+    "lightbox.zoomOut": "Zoom out",
+    "lightbox.zoomIn": "Zoom in",
+    "lightbox.zoomReset": "Reset zoom",
+    "lightbox.original": "Open original file in a new tab",
+    "lightbox.ledgerShow": "Show commission ledger",
+    "lightbox.ledgerHide": "Hide commission ledger",
+    "lightbox.copyLink": "Copy link to this artwork",
+    "lightbox.copied": "Link copied",
+    "lightbox.copyFailed": "Could not copy the link",
+    "lightbox.close": "Close viewer",
+    "lightbox.previous": "Previous artwork",
+    "lightbox.next": "Next artwork",
+    "lightbox.artwork": "Artwork {name}",
+    "lightbox.pdf": "PDF viewer for {name}",
+    "lightbox.loading": "Loading...",
+    "lightbox.readFailed": "Unable to read this file ({error}).",
+    "ledger.title": "Commission ledger",
+    "ledger.badge": "Ledger",
+    "ledger.status.requested": "Requested",
+    "ledger.status.wip": "WIP",
+    "ledger.status.delivered": "Delivered",
+    "ledger.field.status": "Status",
+    "ledger.field.price": "Price",
+    "ledger.field.ordered": "Ordered on",
+    "ledger.field.delivered": "Delivered on",
+    "ledger.field.character": "Character",
+    "ledger.field.notes": "Notes",
+    "ledger.save": "Save",
+    "ledger.clear": "Clear",
+    "ledger.export": "Export JSON",
+    "ledger.import": "Import JSON",
+    "ledger.saved": "Saved.",
+    "ledger.nothingToSave": "Nothing to save.",
+    "ledger.removed": "Entry removed.",
+    "ledger.imported": "{count} entries imported.",
+    "ledger.exported": "{count} entries exported.",
+    "ledger.importFailed": "Import failed: {error}",
+    "keymap.title": "Keyboard shortcuts",
+    "keymap.close": "Close",
+    "keymap.search": "Focus the search",
+    "keymap.return": "Return to the artists",
+    "keymap.move": "Move between artists, folders and artworks",
+    "keymap.open": "Open the focused artist, folder or artwork",
+    "keymap.favorite": "Add or remove the focused item from favorites",
+    "keymap.sfw": "Show SFW artists",
+    "keymap.nsfw": "Show NSFW artists",
+    "keymap.help": "Show or hide this help",
+    "theme.label": "Theme",
+    "theme.auto": "Auto",
+    "theme.light": "Light",
+    "theme.dark": "Dark",
+    "theme.contrast": "High contrast",
+    "locale.label": "Language",
+    "dashboard.artists": "Artists",
+    "dashboard.commissions": "Commissions",
+    "dashboard.pictures": "Pictures",
+    "dashboard.images": "Images",
+    "dashboard.others": "Others",
+    "dashboard.picturesShare": "pictures",
+    "dashboard.othersShare": "others",
+    "dashboard.results": "Search results: {count} results",
+    "dashboard.trends": "Trends",
+    "dashboard.trendsEmpty": "Trends build up with each visit, one point per day.",
+    "dashboard.sinceLastVisit": "Since last visit ({date})",
+    "dashboard.export": "Export the visible rows",
+    "dashboard.exportCsv": "Export CSV",
+    "dashboard.exportJson": "Export JSON",
+    "dashboard.copy": "Copy CSV",
+    "dashboard.copied": "Copied",
+    "dashboard.copyFailed": "Copy failed",
+    "dashboard.yes": "Yes",
+    "dashboard.no": "No",
+    "dashboard.column.artist": "Artist",
+    "dashboard.column.sfw": "? sfw",
+    "dashboard.column.total": "% Total",
+    "dashboard.column.type": "% Type",
+    "dashboard.column.commissions": "# Commissions",
+    "dashboard.column.pictures": "# Pictures",
+    "dashboard.column.ratio": "% Pics / Coms",
+  },
+  fr: {
+    "header.return": "Retour",
+    "header.returnLabel": "Retour à la page précédente",
+    "header.controls": "Contrôles de navigation",
+    "header.label": "En-tête de Comex",
+    "nav.label": "Navigation principale",
+    "nav.filters": "Filtre de contenu",
+    "nav.favorites": "★ Favoris",
+    "nav.offline": "Hors ligne - collection en cache",
+    "search.placeholder": "Rechercher...",
+    "search.label": "Rechercher dans le contenu",
+    "search.suggestions": "Suggestions de recherche",
+    "news.button": "Nouveautés",
+    "news.buttonLabel": "Nouveautés, {count} non vues",
+    "news.title": "Nouvelles commissions",
+    "news.markSeen": "Tout marquer comme vu",
+    "news.empty": "Rien de nouveau",
+    "news.added": "Ajouté le {date}",
+    "news.ribbon": "NOUVEAU",
+    "sort.label": "Tri",
+    "sort.alpha": "A → Z",
+    "sort.commissions": "Plus de commissions",
+    "sort.updated": "Modifiés depuis la dernière visite",
+    "sort.new": "Ajouts récents",
+    "sort.favorites": "Favoris d'abord",
+    "nsfw.blur": "Flouter NSFW",
+    "tags.filter": "Filtre de tags",
+    "tags.filterPlaceholder": "Filtrer les tags...",
+    "tags.filterAdd": "Ajouter un tag au filtre",
+    "tags.modeAnd": "Tous les tags requis, cliquer pour changer",
+    "tags.modeOr": "Au moins un des tags, cliquer pour changer",
+    "tags.remove": "Retirer le tag {tag}",
+    "search.indexing": "Indexation des œuvres...",
+    "search.unavailable": "Recherche d'œuvres indisponible",
+    "search.artworks": "Œuvres",
+    "search.noArtwork": "Aucune œuvre correspondante",
+    "search.artworkCount": "{count} œuvres",
+    "route.artist": "Commissions de {artist}",
+    "route.favorites": "Favoris",
+    "route.favoritesDescription": "Artistes et commissions favoris",
+    "route.welcome": "Accueil",
+    "route.welcomeDescription": "Explorez et gérez vos commissions facilement avec Commission Xplorer.",
+    "gallery.label": "Galerie de contenu",
+    "gallery.loading": "Chargement",
+    "gallery.siteTitle": "Titre du site",
+    "gallery.cardAlt": "image de {artist}",
+    "gallery.file": "{count} fichier",
+    "gallery.files": "{count} fichiers",
+    "gallery.folder": "Dossier {name}, {files}",
+    "gallery.breadcrumbs": "Dossier",
+    "gallery.previewAlt": "Aperçu de {url}",
+    "gallery.excerpt": "Extrait de {name}",
+    "gallery.pdfPage": "Première page de {name}",
+    "gallery.download": "Télécharger",
+    "gallery.downloadHint": "Fichier {type} · Télécharger",
+    "favorites.add": "Ajouter {name} aux favoris",
+    "favorites.remove": "Retirer {name} des favoris",
+    "favorites.empty": "Aucun favori pour l'instant : utilisez la ☆ des artistes et des œuvres pour les ajouter ici.",
+    "tags.add": "Ajouter des tags",
+    "tags.edit": "Modifier les tags : {tags}",
+    "tags.placeholder": "Ajouter un tag...",
+    "tags.new": "Nouveau tag",
+    "tags.editor": "Tags de {name}",
+    "nsfw.gateTitle": "Contenu pour adultes",
+    "nsfw.gateText": "Cette partie de la collection contient des œuvres NSFW. Confirmez que vous avez l'âge légal pour les voir.",
+    "nsfw.gateConfirm": "J'ai 18 ans ou plus",
+    "nsfw.gateLeave": "Quitter",
+    "lightbox.label": "Visionneuse d'œuvres",
+    "lightbox.zoomOut": "Dézoomer",
+    "lightbox.zoomIn": "Zoomer",
+    "lightbox.zoomReset": "Réinitialiser le zoom",
+    "lightbox.original": "Ouvrir le fichier original dans un nouvel onglet",
+    "lightbox.ledgerShow": "Afficher le registre de la commission",
+    "lightbox.ledgerHide": "Masquer le registre de la commission",
+    "lightbox.copyLink": "Copier le lien de cette œuvre",
+    "lightbox.copied": "Lien copié",
+    "lightbox.copyFailed": "Impossible de copier le lien",
+    "lightbox.close": "Fermer la visionneuse",
+    "lightbox.previous": "Œuvre précédente",
+    "lightbox.next": "Œuvre suivante",
+    "lightbox.artwork": "Œuvre {name}",
+    "lightbox.pdf": "Lecteur PDF de {name}",
+    "lightbox.loading": "Chargement...",
+    "lightbox.readFailed": "Impossible de lire ce fichier ({error}).",
+    "ledger.title": "Registre des commissions",
+    "ledger.badge": "Registre",
+    "ledger.status.requested": "Demandée",
+    "ledger.status.wip": "En cours",
+    "ledger.status.delivered": "Livrée",
+    "ledger.field.status": "Statut",
+    "ledger.field.price": "Prix",
+    "ledger.field.ordered": "Commandée le",
+    "ledger.field.delivered": "Livrée le",
+    "ledger.field.character": "Personnage",
+    "ledger.field.notes": "Notes",
+    "ledger.save": "Enregistrer",
+    "ledger.clear": "Effacer",
+    "ledger.export": "Exporter en JSON",
+    "ledger.import": "Importer du JSON",
+    "ledger.saved": "Enregistré.",
+    "ledger.nothingToSave": "Rien à enregistrer.",
+    "ledger.removed": "Entrée supprimée.",
+    "ledger.imported": "{count} entrées importées.",
+    "ledger.exported": "{count} entrées exportées.",
+    "ledger.importFailed": "Échec de l'import : {error}",
+    "keymap.title": "Raccourcis clavier",
+    "keymap.close": "Fermer",
+    "keymap.search": "Aller à la recherche",
+    "keymap.return": "Revenir aux artistes",
+    "keymap.move": "Se déplacer entre artistes, dossiers et œuvres",
+    "keymap.open": "Ouvrir l'artiste, le dossier ou l'œuvre sélectionné",
+    "keymap.favorite": "Ajouter ou retirer l'élément sélectionné des favoris",
+    "keymap.sfw": "Afficher les artistes SFW",
+    "keymap.nsfw": "Afficher les artistes NSFW",
+    "keymap.help": "Afficher ou masquer cette aide",
+    "theme.label": "Thème",
+    "theme.auto": "Auto",
+    "theme.light": "Clair",
+    "theme.dark": "Sombre",
+    "theme.contrast": "Contraste élevé",
+    "locale.label": "Langue",
+    "dashboard.artists": "Artistes",
+    "dashboard.commissions": "Commissions",
+    "dashboard.pictures": "Images",
+    "dashboard.images": "Images",
+    "dashboard.others": "Autres",
+    "dashboard.picturesShare": "images",
+    "dashboard.othersShare": "autres",
+    "dashboard.results": "Résultats de recherche : {count} résultats",
+    "dashboard.trends": "Tendances",
+    "dashboard.trendsEmpty": "Les tendances se construisent à chaque visite, un point par jour.",
+    "dashboard.sinceLastVisit": "Depuis la dernière visite ({date})",
+    "dashboard.export": "Exporter les lignes affichées",
+    "dashboard.exportCsv": "Exporter en CSV",
+    "dashboard.exportJson": "Exporter en JSON",
+    "dashboard.copy": "Copier le CSV",
+    "dashboard.copied": "Copié",
+    "dashboard.copyFailed": "Échec de la copie",
+    "dashboard.yes": "Oui",
+    "dashboard.no": "Non",
+    "dashboard.column.artist": "Artiste",
+    "dashboard.column.sfw": "? sfw",
+    "dashboard.column.total": "% Total",
+    "dashboard.column.type": "% Type",
+    "dashboard.column.commissions": "# Commissions",
+    "dashboard.column.pictures": "# Images",
+    "dashboard.column.ratio": "% Images / Coms",
+  },
+};
+
+// Locale of the page, fixed until the next page load
+const currentLocale = detectLocale();
+
+/**
+ * Detects the locale of the page.
+ * @function detectLocale
+ * @returns {string} Key of LOCALES: the stored choice, else the first supported
+ * browser language, else the default locale
+ * @example
+ * // navigator.languages: ["fr-CA", "en-US"], nothing stored
+ * detectLocale(); // Returns "fr"
+ */
+function detectLocale() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(LOCALE_KEY);
+  } catch (err) {
+    console.error("Failed to read language:", err.message);
+  }
+  if (stored in LOCALES) return stored;
+
+  const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  const detected = languages
+    .filter(Boolean)
+    .map(language => language.split("-")[0].toLowerCase())
+    .find(language => language in LOCALES);
+  return detected || Object.keys(LOCALES)[0];
+}
+
+/**
+ * Translates a message of the catalogue.
+ * @function translate
+ * @param {string} key - Key of MESSAGES
+ * @param {object} [params] - Values of the "{name}" placeholders
+ * @returns {string} Message in the current locale, falling back on English,
+ * then on the key itself
+ * @example
+ * translate("tags.remove", { tag: "sketch" }); // Returns "Remove tag sketch"
+ */
+function translate(key, params = {}) {
+  const message = MESSAGES[currentLocale][key] || MESSAGES.en[key] || key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Formats a number for the current locale.
+ * @function formatNumber
+ * @param {number} value - Number to format
+ * @param {Intl.NumberFormatOptions} [options] - Formatting options
+ * @returns {string} Localized number
+ * @example
+ * // Locale: fr
+ * formatNumber(1234.5); // Returns "1 234,5"
+ * formatNumber(2, { signDisplay: "exceptZero" }); // Returns "+2"
+ */
+function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+/**
+ * Formats a date for the current locale.
+ * @function formatDate
+ * @param {string|number|Date} date - Date, ISO string or timestamp
+ * @returns {string} Localized short date
+ * @example
+ * // Locale: fr
+ * formatDate("2024-03-05T10:00:00.000Z"); // Returns "05/03/2024"
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString(currentLocale);
+}
+
+/**
+ * Formats a percentage for the current locale.
+ * @function formatPercentage
+ * @param {number} value - Percentage between 0 and 100, as returned by calculatePercentage()
+ * @returns {string} Localized percentage with up to two decimals
+ * @example
+ * // Locale: fr
+ * formatPercentage(12.5); // Returns "12,5 %"
+ */
+function formatPercentage(value) {
+  return new Intl.NumberFormat(currentLocale, { style: "percent", maximumFractionDigits: 2 }).format(value / 100);
+}
+
+/**
+ * Persists a locale and reloads the page in it.
+ * @function setLocale
+ * @param {string} locale - Key of LOCALES
+ * @note Both pages are generated once, a reload translates every message
+ */
+function setLocale(locale) {
+  try {
+    localStorage.setItem(LOCALE_KEY, locale);
+  } catch (err) {
+    console.error("Failed to persist language:", err.message);
+  }
+  window.location.reload();
+}
+
+/**
+ * Starts the translations.
+ * @function initLocale
+ * @description Sets the language of the document for assistive technologies.
+ */
+function initLocale() {
+  document.documentElement.lang = currentLocale;
+}
+
+/**
+ * Builds a language switcher.
+ * @function generateLocaleSelect
+ * @returns {HTMLElement} Labelled select listing LOCALES
+ * @note Used by the navigation of index.html and the toolbar of dashboard.html
+ */
+function generateLocaleSelect() {
+  const select = document.createElement("select");
+  select.id = "localeSelect";
+  Object.entries(LOCALES).forEach(([value, name]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.lang = value;
+    option.innerText = name;
+    select.appendChild(option);
+  });
+  select.value = currentLocale;
+  select.addEventListener("change", () => setLocale(select.value));
+
+  const label = document.createElement("label");
+  label.htmlFor = select.id;
+  label.innerText = translate("locale.label");
+
+  const container = document.createElement("div");
+  container.className = "locale-select";
+  container.append(label, select);
+  return container;
+}
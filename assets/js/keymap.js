@@ -0,0 +1,311 @@
+/**
+ * keymap.js - Global keyboard shortcuts of the explorer
+ * One binding table drives both the keydown handler and the help overlay
+ * opened with "?"
+ */
+
+// Direction of each arrow key, see moveTileFocus()
+const KEYMAP_ARROWS = {
+  ArrowLeft: "left",
+  ArrowRight: "right",
+  ArrowUp: "up",
+  ArrowDown: "down",
+};
+
+// Bindings, listed in this order by the help overlay
+// - keys: key combination as shown to the user
+// - description: message key of what the binding does
+// - match: whether a keydown triggers the binding
+// - run: action called with the keydown; returning false lets the event through
+const KEYMAP = [
+  {
+    keys: ["/"],
+    description: "keymap.search",
+    match: event => isPlainKey(event, "/"),
+    run: focusSearch,
+  },
+  {
+    keys: ["Alt", "←"],
+    description: "keymap.return",
+    match: event => event.altKey && !event.ctrlKey && !event.metaKey && event.key === "ArrowLeft",
+    run: () => {
+      if (getRoute().home) return false;
+      followReturn();
+    },
+  },
+  {
+    keys: ["←", "↑", "→", "↓"],
+    description: "keymap.move",
+    match: event => Object.keys(KEYMAP_ARROWS).some(key => isPlainKey(event, key)),
+    run: event => moveTileFocus(KEYMAP_ARROWS[event.key]),
+  },
+  {
+    keys: ["Enter"],
+    description: "keymap.open",
+    match: event => isPlainKey(event, "Enter"),
+    run: openFocusedTile,
+  },
+  {
+    keys: ["F"],
+    description: "keymap.favorite",
+    match: event => isPlainKey(event, "f"),
+    run: toggleFocusedFavorite,
+  },
+  {
+    keys: ["S"],
+    description: "keymap.sfw",
+    match: event => isPlainKey(event, "s"),
+    run: () => switchContentFilter(false),
+  },
+  {
+    keys: ["N"],
+    description: "keymap.nsfw",
+    match: event => isPlainKey(event, "n"),
+    run: () => switchContentFilter(true),
+  },
+  {
+    keys: ["?"],
+    description: "keymap.help",
+    match: event => isPlainKey(event, "?"),
+    run: toggleKeymapHelp,
+  },
+];
+
+// Element focused before the help overlay opened
+let keymapHelpReturnFocus = null;
+
+/**
+ * Starts the keyboard shortcuts.
+ * @function initKeymap
+ * @description Adds the help overlay to the page and listens to document keydowns.
+ */
+function initKeymap() {
+  document.body.appendChild(generateKeymapHelp());
+  document.querySelector("#search").setAttribute("aria-keyshortcuts", "/");
+  addKeyDown(document, keymapKeyDown);
+}
+
+/**
+ * Checks a keydown against a key without Alt, Ctrl or Meta.
+ * @function isPlainKey
+ * @param {KeyboardEvent} event - Document keydown
+ * @param {string} key - Expected `event.key`, letters in lowercase
+ * @returns {boolean} True if the key matches; Shift is allowed for "?" and "/"
+ */
+function isPlainKey(event, key) {
+  if (event.altKey || event.ctrlKey || event.metaKey) return false;
+  return event.key.length === 1 ? event.key.toLowerCase() === key : event.key === key;
+}
+
+/**
+ * Handles the global keyboard shortcuts.
+ * @function keymapKeyDown
+ * @param {KeyboardEvent} event - Document keydown
+ * @description Keys typed in form fields or media players, and keys pressed while the lightbox
+ * is open, are left to their own handlers. While the help overlay is open,
+ * only Escape and "?" are handled, both closing it.
+ */
+function keymapKeyDown(event) {
+  if (event.defaultPrevented || event.isComposing) return;
+  const target = event.target;
+  if (["INPUT", "TEXTAREA", "SELECT", "VIDEO", "AUDIO"].includes(target.tagName) || target.isContentEditable) return;
+  if (document.querySelector("#backdrop").classList.contains("lightbox")) return;
+
+  if (!document.querySelector("#keymapHelp").hidden) {
+    if (event.key === "Escape" || isPlainKey(event, "?")) {
+      event.preventDefault();
+      toggleKeymapHelp();
+    }
+    return;
+  }
+
+  const binding = KEYMAP.find(entry => entry.match(event));
+  if (binding && binding.run(event) !== false) event.preventDefault();
+}
+
+/**
+ * Moves the focus to the search field.
+ * @function focusSearch
+ */
+function focusSearch() {
+  const search = document.querySelector("#search");
+  search.focus();
+  search.select();
+}
+
+/**
+ * Lists the gallery tiles reachable with the arrow keys.
+ * @function getGalleryTiles
+ * @returns {Array<HTMLElement>} Cards, folders and previews not hidden by the
+ * search or the tag filter, in gallery order
+ */
+function getGalleryTiles() {
+  return Array.from(
+    document.querySelectorAll("#gallery .card, #gallery .folder, #gallery .preview")
+  ).filter(tile => tile.dataset.hidden !== "true" && !tile.classList.contains("tag-hidden"));
+}
+
+/**
+ * Gets the gallery tile holding the focus.
+ * @function getFocusedTile
+ * @returns {?HTMLElement} The focused tile, or the tile of the focused element
+ */
+function getFocusedTile() {
+  const active = document.activeElement;
+  return active && active.closest ? active.closest("#gallery .card, #gallery .folder, #gallery .preview") : null;
+}
+
+/**
+ * Focuses a gallery tile.
+ * @function focusTile
+ * @param {HTMLElement} tile - Card, folder or preview
+ * @note Folders and previews focus their link; cards have none and become
+ * focusable by script only
+ */
+function focusTile(tile) {
+  const target = tile.querySelector("a.img-div") || tile;
+  if (target === tile) tile.tabIndex = -1;
+  target.focus();
+  tile.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+/**
+ * Moves the focus to the next tile in a direction.
+ * @function moveTileFocus
+ * @param {"left"|"right"|"up"|"down"} direction - Arrow key direction
+ * @returns {boolean} False when the gallery has no tile
+ * @description Left and right follow the gallery order. Up and down go to the
+ * closest row above or below, on the tile closest horizontally. Without a
+ * focused tile, the first tile gets the focus.
+ */
+function moveTileFocus(direction) {
+  const tiles = getGalleryTiles();
+  if (!tiles.length) return false;
+
+  const current = getFocusedTile();
+  const index = tiles.indexOf(current);
+  let next;
+  if (index === -1) {
+    next = tiles[0];
+  } else if (direction === "left" || direction === "right") {
+    next = tiles[index + (direction === "right" ? 1 : -1)];
+  } else {
+    const from = current.getBoundingClientRect();
+    const center = from.left + from.width / 2;
+    const sign = direction === "down" ? 1 : -1;
+    let best = null;
+    tiles.forEach(tile => {
+      const rect = tile.getBoundingClientRect();
+      const dy = (rect.top - from.top) * sign;
+      if (dy <= 1) return;
+      const dx = Math.abs(rect.left + rect.width / 2 - center);
+      if (!best || dy < best.dy - 1 || (Math.abs(dy - best.dy) <= 1 && dx < best.dx)) {
+        best = { tile, dy, dx };
+      }
+    });
+    next = best && best.tile;
+  }
+
+  if (next) focusTile(next);
+  return true;
+}
+
+/**
+ * Opens the focused tile.
+ * @function openFocusedTile
+ * @returns {boolean|undefined} False when nothing is opened by the shortcut:
+ * no focused tile, or a focused link or button opening on its own
+ */
+function openFocusedTile() {
+  const tile = getFocusedTile();
+  if (!tile || ["A", "BUTTON"].includes(document.activeElement.tagName)) return false;
+  tile.click();
+}
+
+/**
+ * Toggles the favorite star of the focused tile.
+ * @function toggleFocusedFavorite
+ * @returns {boolean|undefined} False without a focused tile holding a star
+ */
+function toggleFocusedFavorite() {
+  const tile = getFocusedTile();
+  const star = tile && tile.querySelector(".favorite-toggle");
+  if (!star) return false;
+  star.click();
+}
+
+/**
+ * Shows the SFW or NSFW artists.
+ * @function switchContentFilter
+ * @param {boolean} nsfw - Filter to show
+ * @see followFilter
+ */
+function switchContentFilter(nsfw) {
+  document.querySelector("#search").value = ""; // Clear the search field
+  navigate("welcome", { isNsfw: nsfw });
+}
+
+/**
+ * Builds the help overlay listing every binding of KEYMAP.
+ * @function generateKeymapHelp
+ * @returns {HTMLElement} The hidden overlay
+ */
+function generateKeymapHelp() {
+  const title = document.createElement("h2");
+  title.id = "keymapHelpTitle";
+  title.innerText = translate("keymap.title");
+
+  const list = document.createElement("dl");
+  KEYMAP.forEach(({ keys, description }) => {
+    const dt = document.createElement("dt");
+    keys.forEach(key => {
+      const kbd = document.createElement("kbd");
+      kbd.innerText = key;
+      dt.appendChild(kbd);
+    });
+    const dd = document.createElement("dd");
+    dd.innerText = translate(description);
+    list.append(dt, dd);
+  });
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "keymap-help-close";
+  close.innerText = translate("keymap.close");
+  addClick(close, toggleKeymapHelp);
+
+  const content = document.createElement("div");
+  content.className = "keymap-help-content";
+  content.append(title, list, close);
+
+  const overlay = document.createElement("div");
+  overlay.id = "keymapHelp";
+  overlay.className = "keymap-help";
+  overlay.hidden = true;
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-modal", "true");
+  overlay.setAttribute("aria-labelledby", title.id);
+  overlay.appendChild(content);
+  overlay.addEventListener("click", event => {
+    // Clicking around the list closes the overlay
+    if (event.target === overlay) toggleKeymapHelp();
+  });
+  return overlay;
+}
+
+/**
+ * Opens or closes the help overlay.
+ * @function toggleKeymapHelp
+ * @description The focus moves to the close button, and back to the element
+ * focused before once closed.
+ */
+function toggleKeymapHelp() {
+  const overlay = document.querySelector("#keymapHelp");
+  overlay.hidden = !overlay.hidden;
+  if (!overlay.hidden) {
+    keymapHelpReturnFocus = document.activeElement;
+    overlay.querySelector(".keymap-help-close").focus();
+  } else if (keymapHelpReturnFocus && document.contains(keymapHelpReturnFocus)) {
+    keymapHelpReturnFocus.focus();
+  }
+}
@@ -0,0 +1,403 @@
+/**
+ * ledger.js - Commission ledger attached to artwork paths
+ * Price, dates, status, character and notes per artwork, edited from the
+ * lightbox and kept in a local JSON store with import and export
+ */
+
+// localStorage key holding the ledger of this device
+const LEDGER_KEY = "comex.ledger";
+// Version written in exported files
+const LEDGER_VERSION = 1;
+// Commission statuses with the message keys of their labels, in workflow order
+const LEDGER_STATUSES = {
+  requested: "ledger.status.requested",
+  wip: "ledger.status.wip",
+  delivered: "ledger.status.delivered",
+};
+// Currency proposed for new entries
+const LEDGER_DEFAULT_CURRENCY = "EUR";
+
+// Entries by artwork link (../commissions/...), as listed by artworks.php
+const ledger = readLedger();
+
+/**
+ * Reads the ledger of this device.
+ * @function readLedger
+ * @returns {Object<string, object>} Entries by artwork link
+ */
+function readLedger() {
+  try {
+    return JSON.parse(localStorage.getItem(LEDGER_KEY)) || {};
+  } catch (err) {
+    console.error("Failed to read ledger:", err.message);
+    return {};
+  }
+}
+
+/**
+ * Persists the ledger of this device.
+ * @function saveLedger
+ */
+function saveLedger() {
+  try {
+    localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+  } catch (err) {
+    console.error("Failed to persist ledger:", err.message);
+  }
+}
+
+/**
+ * Cleans a ledger entry read from the form or an imported file.
+ * @function sanitizeLedgerEntry
+ * @param {object} raw - Entry candidate
+ * @returns {object|null} Entry with only known, well-typed fields, null if empty
+ * @example
+ * sanitizeLedgerEntry({ price: "45.5", currency: "eur", status: "wip" });
+ * // Returns { price: 45.5, currency: "EUR", status: "wip" }
+ */
+function sanitizeLedgerEntry(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const entry = {};
+  const text = value => (typeof value === "string" ? value.trim() : "");
+  const date = value => (/^\d{4}-\d{2}-\d{2}$/.test(text(value)) ? text(value) : "");
+
+  const price = parseFloat(raw.price);
+  if (Number.isFinite(price) && price >= 0) entry.price = price;
+  if (/^[a-z]{3}$/i.test(text(raw.currency))) entry.currency = text(raw.currency).toUpperCase();
+  if (date(raw.ordered)) entry.ordered = date(raw.ordered);
+  if (date(raw.delivered)) entry.delivered = date(raw.delivered);
+  if (raw.status in LEDGER_STATUSES) entry.status = raw.status;
+  if (text(raw.character)) entry.character = text(raw.character);
+  if (text(raw.notes)) entry.notes = text(raw.notes);
+
+  // A lone currency carries no information
+  const fields = Object.keys(entry).filter(field => field !== "currency");
+  return fields.length ? entry : null;
+}
+
+/**
+ * Returns the ledger entry of an artwork.
+ * @function getLedgerEntry
+ * @param {string} link - Artwork link (../commissions/...)
+ * @returns {object|undefined} The entry, undefined if the artwork has none
+ */
+function getLedgerEntry(link) {
+  return ledger[link];
+}
+
+/**
+ * Saves or removes the ledger entry of an artwork.
+ * @function setLedgerEntry
+ * @param {string} link - Artwork link (../commissions/...)
+ * @param {object|null} raw - Entry fields, empty to remove the entry
+ */
+function setLedgerEntry(link, raw) {
+  const entry = sanitizeLedgerEntry(raw);
+  if (entry) {
+    ledger[link] = entry;
+  } else {
+    delete ledger[link];
+  }
+  saveLedger();
+  updateLedgerBadges(link);
+}
+
+/**
+ * Formats the price of an entry.
+ * @function formatLedgerPrice
+ * @param {object} entry - Ledger entry
+ * @returns {string} Price in the current locale, empty without price
+ * @example
+ * formatLedgerPrice({ price: 45, currency: "EUR" }); // Returns "€45.00" in English
+ */
+function formatLedgerPrice(entry) {
+  if (entry.price === undefined) return "";
+  try {
+    return formatNumber(entry.price, {
+      style: "currency",
+      currency: entry.currency || LEDGER_DEFAULT_CURRENCY,
+    });
+  } catch (err) {
+    return `${entry.price} ${entry.currency || ""}`.trim();
+  }
+}
+
+/**
+ * Creates the status badge of a preview tile.
+ * @function createLedgerBadge
+ * @param {string} link - Artwork link (../commissions/...)
+ * @returns {HTMLElement} The badge, hidden when the artwork has no entry
+ */
+function createLedgerBadge(link) {
+  const badge = document.createElement("span");
+  badge.className = "ledger-status";
+  badge.dataset.key = link;
+  renderLedgerBadge(badge);
+  return badge;
+}
+
+/**
+ * Reflects the ledger entry of an artwork on its badge.
+ * @function renderLedgerBadge
+ * @param {HTMLElement} badge - Badge from createLedgerBadge()
+ */
+function renderLedgerBadge(badge) {
+  const entry = getLedgerEntry(badge.dataset.key);
+  badge.hidden = !entry;
+  if (!entry) return;
+
+  badge.dataset.status = entry.status || "";
+  const status = entry.status && translate(LEDGER_STATUSES[entry.status]);
+  badge.innerText = [status, formatLedgerPrice(entry)].filter(Boolean).join(" · ") || translate("ledger.badge");
+  badge.title = [entry.character, entry.notes].filter(Boolean).join("\n");
+}
+
+/**
+ * Refreshes the badges of an artwork.
+ * @function updateLedgerBadges
+ * @param {string} link - Artwork link (../commissions/...)
+ */
+function updateLedgerBadges(link) {
+  document.querySelectorAll(".ledger-status").forEach(badge => {
+    if (badge.dataset.key === link) renderLedgerBadge(badge);
+  });
+}
+
+/**
+ * Builds the ledger form shown next to the lightbox stage.
+ * @function generateLedgerForm
+ * @returns {HTMLElement} The form panel, filled by renderLedgerForm()
+ */
+function generateLedgerForm() {
+  const form = document.createElement("form");
+  form.className = "lightbox-ledger";
+  form.hidden = true;
+  form.setAttribute("aria-label", translate("ledger.title"));
+
+  const title = document.createElement("strong");
+  title.innerText = translate("ledger.title");
+  form.appendChild(title);
+
+  const status = document.createElement("select");
+  status.name = "status";
+  [["", "—"], ...Object.entries(LEDGER_STATUSES)].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.innerText = value ? translate(label) : label;
+    status.appendChild(option);
+  });
+
+  const price = createLedgerInput("price", "number");
+  price.min = "0";
+  price.step = "0.01";
+  const currency = createLedgerInput("currency", "text");
+  currency.maxLength = 3;
+  currency.size = 3;
+  currency.placeholder = LEDGER_DEFAULT_CURRENCY;
+  const priceGroup = document.createElement("span");
+  priceGroup.className = "ledger-price";
+  priceGroup.append(price, currency);
+
+  const notes = document.createElement("textarea");
+  notes.name = "notes";
+  notes.rows = 4;
+
+  form.append(
+    createLedgerField(translate("ledger.field.status"), status),
+    createLedgerField(translate("ledger.field.price"), priceGroup, price),
+    createLedgerField(translate("ledger.field.ordered"), createLedgerInput("ordered", "date")),
+    createLedgerField(translate("ledger.field.delivered"), createLedgerInput("delivered", "date")),
+    createLedgerField(translate("ledger.field.character"), createLedgerInput("character", "text")),
+    createLedgerField(translate("ledger.field.notes"), notes)
+  );
+
+  const save = document.createElement("button");
+  save.type = "submit";
+  save.innerText = translate("ledger.save");
+  const clear = document.createElement("button");
+  clear.type = "button";
+  clear.innerText = translate("ledger.clear");
+  addClick(clear, clearLedgerForm);
+  const actions = document.createElement("div");
+  actions.className = "ledger-actions";
+  actions.append(save, clear);
+
+  // Whole store import and export
+  const exportBtn = document.createElement("button");
+  exportBtn.type = "button";
+  exportBtn.innerText = translate("ledger.export");
+  addClick(exportBtn, exportLedger);
+  const file = document.createElement("input");
+  file.type = "file";
+  file.accept = "application/json,.json";
+  file.hidden = true;
+  file.addEventListener("change", importLedgerFile);
+  const importBtn = document.createElement("button");
+  importBtn.type = "button";
+  importBtn.innerText = translate("ledger.import");
+  addClick(importBtn, () => file.click());
+  const transfer = document.createElement("div");
+  transfer.className = "ledger-actions";
+  transfer.append(exportBtn, importBtn, file);
+
+  const message = document.createElement("p");
+  message.className = "ledger-message";
+  message.setAttribute("aria-live", "polite");
+
+  form.append(actions, transfer, message);
+  form.addEventListener("submit", submitLedgerForm);
+  return form;
+}
+
+/**
+ * Creates a named input of the ledger form.
+ * @function createLedgerInput
+ * @param {string} name - Entry field
+ * @param {string} type - Input type
+ * @returns {HTMLInputElement} The input
+ */
+function createLedgerInput(name, type) {
+  const input = document.createElement("input");
+  input.name = name;
+  input.type = type;
+  return input;
+}
+
+/**
+ * Wraps a form control with its label.
+ * @function createLedgerField
+ * @param {string} text - Label text
+ * @param {HTMLElement} control - Control or group of controls
+ * @param {HTMLElement} [labelled=control] - Control the label points to
+ * @returns {HTMLLabelElement} The labelled field
+ */
+function createLedgerField(text, control, labelled = control) {
+  const label = document.createElement("label");
+  const span = document.createElement("span");
+  span.innerText = text;
+  label.append(span, control);
+  if (labelled !== control) labelled.setAttribute("aria-label", text);
+  return label;
+}
+
+/**
+ * Fills the ledger form with the entry of an artwork.
+ * @function renderLedgerForm
+ * @param {string} link - Artwork link (../commissions/...)
+ */
+function renderLedgerForm(link) {
+  const form = document.querySelector("#backdrop .lightbox-ledger");
+  const entry = getLedgerEntry(link) || {};
+  form.dataset.key = link;
+  ["status", "price", "currency", "ordered", "delivered", "character", "notes"].forEach(name => {
+    form.elements[name].value = entry[name] !== undefined ? entry[name] : "";
+  });
+  if (!entry.currency) form.elements.currency.value = LEDGER_DEFAULT_CURRENCY;
+  setLedgerMessage("");
+}
+
+/**
+ * Saves the form into the ledger.
+ * @function submitLedgerForm
+ * @param {SubmitEvent} event - Form submission
+ */
+function submitLedgerForm(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  setLedgerEntry(form.dataset.key, Object.fromEntries(new FormData(form)));
+  renderLedgerForm(form.dataset.key);
+  setLedgerMessage(translate(getLedgerEntry(form.dataset.key) ? "ledger.saved" : "ledger.nothingToSave"));
+}
+
+/**
+ * Removes the entry of the displayed artwork.
+ * @function clearLedgerForm
+ */
+function clearLedgerForm() {
+  const form = document.querySelector("#backdrop .lightbox-ledger");
+  setLedgerEntry(form.dataset.key, null);
+  renderLedgerForm(form.dataset.key);
+  setLedgerMessage(translate("ledger.removed"));
+}
+
+/**
+ * Shows a status message under the form.
+ * @function setLedgerMessage
+ * @param {string} text - Message, empty to clear
+ */
+function setLedgerMessage(text) {
+  const message = document.querySelector("#backdrop .ledger-message");
+  if (message) message.innerText = text;
+}
+
+/**
+ * Downloads the whole ledger as a JSON file.
+ * @function exportLedger
+ */
+function exportLedger() {
+  const data = { version: LEDGER_VERSION, exported: new Date().toISOString(), artworks: ledger };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `comex-ledger-${data.exported.slice(0, 10)}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  setLedgerMessage(translate("ledger.exported", { count: formatNumber(Object.keys(ledger).length) }));
+}
+
+/**
+ * Merges a JSON file into the ledger.
+ * @function importLedger
+ * @async
+ * @param {string} text - File content, an export file or a plain map of entries
+ * @returns {Promise<number>} Number of imported entries
+ * @description Imported entries replace the local entries of the same
+ * artworks, other local entries are kept. Keys that are not artwork links
+ * are ignored.
+ * @throws {Error} When the file is not a ledger
+ */
+async function importLedger(text) {
+  const data = JSON.parse(text);
+  const artworks = data && typeof data.artworks === "object" ? data.artworks : data;
+  if (!artworks || typeof artworks !== "object" || Array.isArray(artworks)) {
+    throw new Error("Not a ledger file");
+  }
+
+  let count = 0;
+  Object.entries(artworks).forEach(([link, raw]) => {
+    // Also keeps keys like "__proto__" out of the ledger object
+    if (!link.startsWith("../commissions/")) return;
+    const entry = sanitizeLedgerEntry(raw);
+    if (!entry) return;
+    ledger[link] = entry;
+    count++;
+  });
+  saveLedger();
+  document.querySelectorAll(".ledger-status").forEach(renderLedgerBadge);
+  return count;
+}
+
+/**
+ * Handles the file picked for import.
+ * @function importLedgerFile
+ * @param {Event} event - Change event of the file input
+ */
+function importLedgerFile(event) {
+  const input = event.currentTarget;
+  const file = input.files[0];
+  if (!file) return;
+
+  file
+    .text()
+    .then(importLedger)
+    .then(count => {
+      const form = document.querySelector("#backdrop .lightbox-ledger");
+      if (form) renderLedgerForm(form.dataset.key);
+      setLedgerMessage(translate("ledger.imported", { count: formatNumber(count) }));
+    })
+    .catch(err => {
+      console.error("Failed to import ledger:", err.message);
+      setLedgerMessage(translate("ledger.importFailed", { error: err.message }));
+    })
+    .finally(() => (input.value = ""));
+}
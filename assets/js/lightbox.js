@@ -0,0 +1,462 @@
+/**
+ * lightbox.js - Fullscreen artwork viewer built on the #backdrop dialog
+ * Steps through the previews of the current gallery with zoom and pan for pictures
+ */
+
+// Zoom boundaries and step for pictures
+const LIGHTBOX_MIN_ZOOM = 1;
+const LIGHTBOX_MAX_ZOOM = 8;
+const LIGHTBOX_ZOOM_STEP = 1.25;
+// Delay before the copy link button gets its icon back, in ms
+const LIGHTBOX_COPY_FEEDBACK_DELAY = 2000;
+
+// Current viewer state
+const lightbox = {
+  tile: null, // Preview element currently displayed
+  zoom: 1,
+  x: 0,
+  y: 0,
+  drag: null, // Pointer position when a pan starts
+  ledger: false, // Whether the ledger form is shown next to the stage
+};
+
+/**
+ * Handles clicks on a gallery preview tile.
+ * @function openPreview
+ * @param {MouseEvent} event - Click event from the preview tile
+ * @description Clicks on the inline tile players are left to the players,
+ * every other click opens the lightbox instead of following the link.
+ */
+function openPreview(event) {
+  event.preventDefault();
+  if (["VIDEO", "AUDIO"].includes(event.target.tagName)) return;
+  openLightbox(event.currentTarget);
+}
+
+/**
+ * Opens the lightbox on a preview tile.
+ * @function openLightbox
+ * @param {HTMLElement} tile - The `.preview` element to display
+ * @description Turns #backdrop into the viewer dialog, renders the artwork
+ * and registers the keyboard controls.
+ */
+function openLightbox(tile) {
+  const backdrop = document.querySelector("#backdrop");
+  if (!backdrop.classList.contains("lightbox")) {
+    backdrop.innerHTML = "";
+    backdrop.appendChild(generateLightbox());
+    backdrop.classList = "show lightbox";
+    backdrop.setAttribute("aria-hidden", "false");
+    backdrop.setAttribute("aria-label", translate("lightbox.label"));
+    addKeyDown(document, lightboxKeyDown);
+  }
+
+  lightbox.tile = tile;
+  renderLightbox();
+  backdrop.querySelector(".lightbox-close").focus();
+}
+
+/**
+ * Closes the lightbox and puts the focus back on the displayed tile.
+ * @function closeLightbox
+ * @note Safe to call when the lightbox is not open
+ */
+function closeLightbox() {
+  const backdrop = document.querySelector("#backdrop");
+  if (!backdrop.classList.contains("lightbox")) return;
+
+  backdrop.innerHTML = "";
+  backdrop.classList = "";
+  backdrop.setAttribute("aria-hidden", "true");
+  backdrop.removeAttribute("aria-label");
+  document.removeEventListener("keydown", lightboxKeyDown);
+
+  const tile = lightbox.tile;
+  lightbox.tile = null;
+  if (tile && document.contains(tile)) {
+    tile.scrollIntoView({ behavior: "instant", block: "nearest" });
+    tile.querySelector("a").focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Shows the previous or next preview of the gallery.
+ * @function stepLightbox
+ * @param {number} delta - -1 for previous, 1 for next
+ */
+function stepLightbox(delta) {
+  const tiles = getLightboxTiles();
+  const next = tiles[tiles.indexOf(lightbox.tile) + delta];
+  if (next) {
+    // Stepping onto a pending preview mounts the window up to it
+    if (!next.isConnected) {
+      extendGalleryWindow(Number(next.dataset.position) + GALLERY_WINDOW_SIZE);
+    }
+    lightbox.tile = next;
+    renderLightbox();
+  }
+}
+
+/**
+ * Lists the previews the lightbox can step through.
+ * @function getLightboxTiles
+ * @returns {Array<HTMLElement>} Previews of the current gallery in display order
+ * @note Includes the pending previews outside the gallery window
+ */
+function getLightboxTiles() {
+  const pending = galleryWindow.pending
+    .slice()
+    .sort((a, b) => a.dataset.position - b.dataset.position);
+  return [...document.querySelectorAll("#gallery .preview"), ...pending]
+    .filter(tile => !tile.classList.contains("tag-hidden"));
+}
+
+/**
+ * Builds the static viewer structure (toolbar, stage and arrows).
+ * @function generateLightbox
+ * @returns {HTMLElement} The viewer element
+ */
+function generateLightbox() {
+  const title = document.createElement("span");
+  title.className = "lightbox-title";
+
+  const counter = document.createElement("span");
+  counter.className = "lightbox-counter";
+  counter.setAttribute("aria-live", "polite");
+
+  const zoomOut = createLightboxButton("lightbox-zoom-out", "−", translate("lightbox.zoomOut"), () =>
+    zoomLightbox(1 / LIGHTBOX_ZOOM_STEP)
+  );
+  const zoomIn = createLightboxButton("lightbox-zoom-in", "+", translate("lightbox.zoomIn"), () =>
+    zoomLightbox(LIGHTBOX_ZOOM_STEP)
+  );
+  const zoomReset = createLightboxButton(
+    "lightbox-zoom-reset",
+    "1:1",
+    translate("lightbox.zoomReset"),
+    resetLightboxZoom
+  );
+
+  const original = document.createElement("a");
+  original.className = "lightbox-original";
+  original.target = "_blank";
+  original.innerText = "↗";
+  original.setAttribute("aria-label", translate("lightbox.original"));
+
+  const ledgerToggle = createLightboxButton(
+    "lightbox-ledger-toggle",
+    translate("ledger.badge"),
+    translate("lightbox.ledgerShow"),
+    toggleLightboxLedger
+  );
+
+  const copyLink = createLightboxButton("lightbox-copy-link", "🔗", translate("lightbox.copyLink"), copyLightboxLink);
+
+  const close = createLightboxButton("lightbox-close", "✕", translate("lightbox.close"), closeLightbox);
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "lightbox-toolbar";
+  toolbar.setAttribute("role", "toolbar");
+  toolbar.append(title, counter, zoomOut, zoomIn, zoomReset, ledgerToggle, copyLink, original, close);
+
+  const stage = document.createElement("div");
+  stage.className = "lightbox-stage";
+  stage.addEventListener("click", (event) => {
+    // Clicking around the artwork closes the viewer
+    if (event.target === stage) closeLightbox();
+  });
+  stage.addEventListener("wheel", lightboxWheel, { passive: false });
+  stage.addEventListener("pointerdown", startLightboxPan);
+  stage.addEventListener("pointermove", moveLightboxPan);
+  stage.addEventListener("pointerup", endLightboxPan);
+  stage.addEventListener("pointercancel", endLightboxPan);
+
+  const prev = createLightboxButton("lightbox-prev", "‹", translate("lightbox.previous"), () => stepLightbox(-1));
+  const next = createLightboxButton("lightbox-next", "›", translate("lightbox.next"), () => stepLightbox(1));
+
+  const viewer = document.createElement("div");
+  viewer.className = "lightbox-viewer";
+  viewer.append(toolbar, prev, stage, next, generateLedgerForm());
+  return viewer;
+}
+
+/**
+ * Copies the shareable URL of the displayed artwork.
+ * @function copyLightboxLink
+ * @description The button briefly shows whether the copy succeeded.
+ * @see copyArtworkLink
+ */
+function copyLightboxLink() {
+  const btn = document.querySelector("#backdrop .lightbox-copy-link");
+  copyArtworkLink(lightbox.tile.dataset.link).then(copied => {
+    btn.innerText = copied ? "✓" : "✕";
+    btn.setAttribute("aria-label", translate(copied ? "lightbox.copied" : "lightbox.copyFailed"));
+    setTimeout(() => {
+      btn.innerText = "🔗";
+      btn.setAttribute("aria-label", btn.title);
+    }, LIGHTBOX_COPY_FEEDBACK_DELAY);
+  });
+}
+
+/**
+ * Shows or hides the ledger form of the displayed artwork.
+ * @function toggleLightboxLedger
+ * @note The choice is kept while stepping through the gallery
+ */
+function toggleLightboxLedger() {
+  lightbox.ledger = !lightbox.ledger;
+  renderLightboxLedger();
+  if (lightbox.ledger) document.querySelector("#backdrop .lightbox-ledger select").focus();
+}
+
+/**
+ * Applies the ledger panel state to the viewer.
+ * @function renderLightboxLedger
+ */
+function renderLightboxLedger() {
+  const backdrop = document.querySelector("#backdrop");
+  const toggle = backdrop.querySelector(".lightbox-ledger-toggle");
+  backdrop.querySelector(".lightbox-viewer").classList.toggle("with-ledger", lightbox.ledger);
+  backdrop.querySelector(".lightbox-ledger").hidden = !lightbox.ledger;
+  toggle.setAttribute("aria-pressed", String(lightbox.ledger));
+  toggle.setAttribute("aria-label", translate(lightbox.ledger ? "lightbox.ledgerHide" : "lightbox.ledgerShow"));
+  if (lightbox.ledger) renderLedgerForm(lightbox.tile.dataset.link);
+}
+
+/**
+ * Creates a lightbox control button.
+ * @function createLightboxButton
+ * @param {string} className - Class of the button
+ * @param {string} text - Visible symbol
+ * @param {string} label - Accessible label
+ * @param {Function} f - Click handler
+ * @returns {HTMLButtonElement} The created button
+ */
+function createLightboxButton(className, text, label, f) {
+  const btn = document.createElement("button");
+  btn.className = className;
+  btn.type = "button";
+  btn.innerText = text;
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+  addClick(btn, f);
+  return btn;
+}
+
+/**
+ * Renders the current tile in the viewer.
+ * @function renderLightbox
+ * @description Updates the title, counter, original link and arrows, then
+ * replaces the stage content with the matching player.
+ */
+function renderLightbox() {
+  const backdrop = document.querySelector("#backdrop");
+  const link = lightbox.tile.dataset.link;
+  const tiles = getLightboxTiles();
+  const index = tiles.indexOf(lightbox.tile);
+
+  backdrop.querySelector(".lightbox-title").innerText = decodeURIComponent(link.split("/").pop());
+  backdrop.querySelector(".lightbox-counter").innerText = `${index + 1} / ${tiles.length}`;
+  backdrop.querySelector(".lightbox-original").href = link.replace("../", host);
+  backdrop.querySelector(".lightbox-prev").disabled = index <= 0;
+  backdrop.querySelector(".lightbox-next").disabled = index === tiles.length - 1;
+
+  const media = createLightboxMedia(link);
+  const stage = backdrop.querySelector(".lightbox-stage");
+  stage.innerHTML = "";
+  stage.appendChild(media);
+
+  const zoomable = media.tagName === "IMG";
+  stage.classList.toggle("zoomable", zoomable);
+  backdrop.querySelectorAll("[class^='lightbox-zoom']").forEach(btn => (btn.hidden = !zoomable));
+  resetLightboxZoom();
+  renderLightboxLedger();
+}
+
+/**
+ * Creates the full-size player for a file.
+ * @function createLightboxMedia
+ * @param {string} link - Relative artwork path (../commissions/...)
+ * @returns {HTMLElement} Image, player, text reader, PDF viewer or download card
+ */
+function createLightboxMedia(link) {
+  const url = link.replace("../", host);
+  const type = getFileType(link);
+  let media;
+
+  switch (type.kind) {
+    case "picture":
+      media = document.createElement("img");
+      media.src = url;
+      media.alt = translate("lightbox.artwork", { name: link.split("/").pop() });
+      media.draggable = false;
+      break;
+    case "video": {
+      media = document.createElement("video");
+      media.controls = true;
+      media.autoplay = true;
+      const source = document.createElement("source");
+      source.type = type.mime;
+      source.src = url;
+      media.appendChild(source);
+      break;
+    }
+    case "audio":
+      media = document.createElement("audio");
+      media.controls = true;
+      media.autoplay = true;
+      media.src = url;
+      break;
+    case "text":
+      media = generateReader(link);
+      break;
+    case "pdf":
+      media = document.createElement("iframe");
+      media.src = url;
+      media.title = translate("lightbox.pdf", { name: link.split("/").pop() });
+      break;
+    default:
+      media = generateDownloadCard(link, true);
+  }
+
+  media.classList.add("lightbox-media");
+  return media;
+}
+
+/**
+ * Creates the reader view of a txt or md file.
+ * @function generateReader
+ * @param {string} link - Relative path of the file
+ * @returns {HTMLElement} The reader, filled once the file is fetched
+ */
+function generateReader(link) {
+  const reader = document.createElement("article");
+  reader.className = "lightbox-reader";
+  reader.tabIndex = 0;
+  reader.innerText = translate("lightbox.loading");
+
+  fetchTextFile(link)
+    .then(text => renderTextFile(text, getExtension(link), reader))
+    .catch(err => {
+      reader.innerText = translate("lightbox.readFailed", { error: err.message });
+    });
+
+  return reader;
+}
+
+/**
+ * Multiplies the picture zoom level.
+ * @function zoomLightbox
+ * @param {number} factor - Zoom multiplier (> 1 zooms in)
+ */
+function zoomLightbox(factor) {
+  lightbox.zoom = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(LIGHTBOX_MIN_ZOOM, lightbox.zoom * factor));
+  if (lightbox.zoom === LIGHTBOX_MIN_ZOOM) {
+    lightbox.x = 0;
+    lightbox.y = 0;
+  }
+  applyLightboxTransform();
+}
+
+/**
+ * Resets zoom and pan of the picture.
+ * @function resetLightboxZoom
+ */
+function resetLightboxZoom() {
+  lightbox.zoom = LIGHTBOX_MIN_ZOOM;
+  lightbox.x = 0;
+  lightbox.y = 0;
+  applyLightboxTransform();
+}
+
+/**
+ * Applies the zoom and pan state to the displayed picture.
+ * @function applyLightboxTransform
+ */
+function applyLightboxTransform() {
+  const stage = document.querySelector("#backdrop .lightbox-stage");
+  const media = stage && stage.querySelector("img.lightbox-media");
+  if (!media) return;
+  media.style.transform = `translate(${lightbox.x}px, ${lightbox.y}px) scale(${lightbox.zoom})`;
+  stage.classList.toggle("zoomed", lightbox.zoom > LIGHTBOX_MIN_ZOOM);
+}
+
+/**
+ * Zooms pictures with the mouse wheel.
+ * @function lightboxWheel
+ * @param {WheelEvent} event - Wheel event from the stage
+ */
+function lightboxWheel(event) {
+  if (!event.currentTarget.classList.contains("zoomable")) return;
+  event.preventDefault();
+  zoomLightbox(event.deltaY < 0 ? LIGHTBOX_ZOOM_STEP : 1 / LIGHTBOX_ZOOM_STEP);
+}
+
+/**
+ * Starts panning a zoomed picture.
+ * @function startLightboxPan
+ * @param {PointerEvent} event - Pointer event from the stage
+ */
+function startLightboxPan(event) {
+  if (lightbox.zoom === LIGHTBOX_MIN_ZOOM || event.target.tagName !== "IMG") return;
+  lightbox.drag = { x: event.clientX - lightbox.x, y: event.clientY - lightbox.y };
+  event.currentTarget.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Pans a zoomed picture while the pointer is down.
+ * @function moveLightboxPan
+ * @param {PointerEvent} event - Pointer event from the stage
+ */
+function moveLightboxPan(event) {
+  if (!lightbox.drag) return;
+  lightbox.x = event.clientX - lightbox.drag.x;
+  lightbox.y = event.clientY - lightbox.drag.y;
+  applyLightboxTransform();
+}
+
+/**
+ * Stops panning.
+ * @function endLightboxPan
+ */
+function endLightboxPan() {
+  lightbox.drag = null;
+}
+
+/**
+ * Keyboard controls of the open lightbox.
+ * @function lightboxKeyDown
+ * @param {KeyboardEvent} event - Keyboard event from the document
+ * @description Supports:
+ * - Escape: Close the viewer
+ * - ArrowLeft / ArrowRight: Previous / next artwork
+ * - + / - / 0: Zoom in, zoom out, reset zoom
+ */
+function lightboxKeyDown(event) {
+  // Focused players and ledger fields keep their own keys
+  if (["VIDEO", "AUDIO", "INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName) && event.key !== "Escape") return;
+
+  switch (event.key) {
+    case "Escape":
+      closeLightbox();
+      break;
+    case "ArrowLeft":
+      stepLightbox(-1);
+      break;
+    case "ArrowRight":
+      stepLightbox(1);
+      break;
+    case "+":
+      zoomLightbox(LIGHTBOX_ZOOM_STEP);
+      break;
+    case "-":
+      zoomLightbox(1 / LIGHTBOX_ZOOM_STEP);
+      break;
+    case "0":
+      resetLightboxZoom();
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+}
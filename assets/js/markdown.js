@@ -0,0 +1,170 @@
+/**
+ * markdown.js - Safe Markdown renderer for commission briefs and artist notes
+ * Builds DOM nodes directly: the source is never injected as HTML
+ */
+
+// URL schemes allowed in rendered links
+const MARKDOWN_SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * Renders Markdown source into DOM nodes.
+ * @function renderMarkdown
+ * @param {string} source - Markdown text
+ * @returns {DocumentFragment} The rendered document
+ * @description Supports the subset used in briefs:
+ * - ATX headings, paragraphs, horizontal rules
+ * - Fenced code blocks and block quotes
+ * - Ordered and unordered lists
+ * - Inline code, bold, italic, strikethrough and links
+ * @note Raw HTML in the source is rendered as plain text
+ * @example
+ * reader.appendChild(renderMarkdown("# Brief\n\nFull body, **front view**."));
+ */
+function renderMarkdown(source) {
+  const fragment = document.createDocumentFragment();
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  let paragraph = [];
+  let list = null;
+
+  // Closes the pending paragraph and list
+  const flush = () => {
+    if (paragraph.length) {
+      const p = document.createElement("p");
+      renderInline(paragraph.join(" "), p);
+      fragment.appendChild(p);
+      paragraph = [];
+    }
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (/^\s*```/.test(line)) {
+      // Fenced code block, an unclosed fence runs to the end
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      const pre = document.createElement("pre");
+      const codeEl = document.createElement("code");
+      codeEl.textContent = code.join("\n");
+      pre.appendChild(codeEl);
+      fragment.appendChild(pre);
+    } else if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      flush();
+      const heading = document.createElement(`h${match[1].length}`);
+      renderInline(match[2], heading);
+      fragment.appendChild(heading);
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      fragment.appendChild(document.createElement("hr"));
+    } else if ((match = line.match(/^\s{0,3}>\s?(.*)$/))) {
+      // Consecutive quoted lines form one block quote
+      flush();
+      const quoted = [match[1]];
+      while (i + 1 < lines.length && (match = lines[i + 1].match(/^\s{0,3}>\s?(.*)$/))) {
+        quoted.push(match[1]);
+        i++;
+      }
+      const blockquote = document.createElement("blockquote");
+      blockquote.appendChild(renderMarkdown(quoted.join("\n")));
+      fragment.appendChild(blockquote);
+    } else if ((match = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+      const tag = match[1] ? "ul" : "ol";
+      if (paragraph.length || !list || list.tagName.toLowerCase() !== tag) {
+        flush();
+        list = document.createElement(tag);
+        if (match[2] && match[2] !== "1") list.start = Number(match[2]);
+        fragment.appendChild(list);
+      }
+      const li = document.createElement("li");
+      renderInline(match[3], li);
+      list.appendChild(li);
+    } else if (line.trim() === "") {
+      flush();
+    } else if (list && /^\s+\S/.test(line)) {
+      // Indented continuation of the last list item
+      const li = list.lastElementChild;
+      li.appendChild(document.createTextNode(" "));
+      renderInline(line.trim(), li);
+    } else {
+      list = null;
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+
+  return fragment;
+}
+
+/**
+ * Renders inline Markdown markup into a parent element.
+ * @function renderInline
+ * @param {string} text - Inline Markdown text
+ * @param {HTMLElement} parent - Element receiving the rendered nodes
+ */
+function renderInline(text, parent) {
+  const pattern =
+    /(`+)([\s\S]*?[^`])\1(?!`)|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:.*?[^*\s])?)\*|\b_([^_\s](?:.*?[^_\s])?)_\b|(!?)\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)|\\([\\`*_{}[\]()#+\-.!~>])/g;
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+    last = match.index + match[0].length;
+
+    let element;
+    if (match[2] !== undefined) {
+      element = document.createElement("code");
+      element.textContent = match[2].trim();
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      element = document.createElement("strong");
+      renderInline(match[3] !== undefined ? match[3] : match[4], element);
+    } else if (match[5] !== undefined) {
+      element = document.createElement("del");
+      renderInline(match[5], element);
+    } else if (match[6] !== undefined || match[7] !== undefined) {
+      element = document.createElement("em");
+      renderInline(match[6] !== undefined ? match[6] : match[7], element);
+    } else if (match[10] !== undefined) {
+      // Images are rendered as links so remote files are never loaded
+      element = createMarkdownLink(match[10], match[9] || match[10], match[8] === "!");
+    } else {
+      element = document.createTextNode(match[11]);
+    }
+    parent.appendChild(element);
+  }
+
+  parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Creates a link for a Markdown link or image.
+ * @function createMarkdownLink
+ * @param {string} href - Link target from the source
+ * @param {string} label - Link text (or image alt text)
+ * @param {boolean} isImage - Whether the source was an image
+ * @returns {Node} An anchor, or plain text when the URL is not safe
+ */
+function createMarkdownLink(href, label, isImage) {
+  let url;
+  try {
+    url = new URL(href, window.location.href);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || !MARKDOWN_SAFE_PROTOCOLS.includes(url.protocol)) {
+    return document.createTextNode(label);
+  }
+
+  const a = document.createElement("a");
+  a.href = url.href;
+  a.target = "_blank";
+  a.rel = "noopener noreferrer";
+  if (isImage) {
+    a.textContent = `🖼 ${label}`;
+  } else {
+    renderInline(label, a);
+  }
+  return a;
+}
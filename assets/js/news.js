@@ -0,0 +1,353 @@
+/**
+ * news.js - "What's new" panel fed by new.php
+ * Lists the artists with new commissions, and the commissions themselves when
+ * new.php details them, counts the unseen ones on a header badge and marks
+ * the cards of their artists with a ribbon
+ */
+
+// localStorage key holding the seen markers of this device
+const SEEN_NEW_KEY = "comex.newSeen";
+// Former key holding the names of the viewed artists, migrated on load
+const LEGACY_SEEN_NEW_KEY = "comex.seenNew";
+
+// Entries listed by new.php, in its order, see setNewCommissions()
+let newCommissions = [];
+// Artists of newCommissions, in the order new.php lists them
+let newArtists = [];
+// Seen markers of this device, see loadNewSeen()
+let newSeen = loadNewSeen();
+
+/**
+ * Reads the seen markers of this device.
+ * @function loadNewSeen
+ * @returns {{all: number, artists: Object<string, number>}} Addition time up
+ * to which every dated commission was viewed, and the marker of each viewed
+ * artist: the addition time of its last viewed commission, 0 when undated
+ * @note Artists viewed with the former name list keep their marker
+ */
+function loadNewSeen() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SEEN_NEW_KEY)) || {};
+    const seen = { all: Number(stored.all) || 0, artists: stored.artists || {} };
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_SEEN_NEW_KEY)) || [];
+    legacy.forEach(artist => {
+      if (!(artist in seen.artists)) seen.artists[artist] = 0;
+    });
+    localStorage.removeItem(LEGACY_SEEN_NEW_KEY);
+    return seen;
+  } catch (err) {
+    console.error("Failed to read seen markers:", err.message);
+    return { all: 0, artists: {} };
+  }
+}
+
+/**
+ * Persists the seen markers of this device.
+ * @function saveNewSeen
+ * @description Markers of artists no longer listed by new.php are dropped,
+ * so an artist counts as new again the next time new.php lists it.
+ */
+function saveNewSeen() {
+  Object.keys(newSeen.artists).forEach(artist => {
+    if (!newArtists.includes(artist)) delete newSeen.artists[artist];
+  });
+  try {
+    localStorage.setItem(SEEN_NEW_KEY, JSON.stringify(newSeen));
+  } catch (err) {
+    console.error("Failed to persist seen markers:", err.message);
+  }
+}
+
+/**
+ * Reads an entry of new.php.
+ * @function parseNewEntry
+ * @param {string|{artist: string, link?: string, added?: string}} entry - Artist
+ * name, or new commission with its link and ISO addition date
+ * @returns {?{artist: string, link: ?string, added: ?number}} The entry, null
+ * when it has no artist
+ */
+function parseNewEntry(entry) {
+  if (typeof entry === "string") return { artist: entry, link: null, added: null };
+  if (!entry || typeof entry.artist !== "string") return null;
+
+  const added = Date.parse(entry.added);
+  return {
+    artist: entry.artist,
+    link: typeof entry.link === "string" ? entry.link : null,
+    added: isNaN(added) ? null : added,
+  };
+}
+
+/**
+ * Stores the entries listed by new.php and refreshes the UI.
+ * @function setNewCommissions
+ * @param {Array<string|object>} entries - new.php answer, see parseNewEntry()
+ * @note Artist names are tracked per artist; commission links and addition
+ * dates are used when new.php provides them
+ */
+function setNewCommissions(entries) {
+  newCommissions = entries.map(parseNewEntry).filter(Boolean);
+  newArtists = Array.from(new Set(newCommissions.map(entry => entry.artist)));
+  saveNewSeen();
+  renderNews();
+  sortArtistCards();
+}
+
+/**
+ * Checks whether an entry listed by new.php is not viewed yet.
+ * @function isNewCommission
+ * @param {{artist: string, added: ?number}} entry - Entry of newCommissions
+ * @returns {boolean} True if the entry counts as new: undated entries until
+ * their artist is viewed, dated ones when added after the last view
+ */
+function isNewCommission(entry) {
+  const seen = newSeen.artists[entry.artist];
+  if (entry.added === null) return seen === undefined;
+  return entry.added > Math.max(newSeen.all, seen || 0);
+}
+
+/**
+ * Checks whether an artist has commissions not viewed yet.
+ * @function isNewArtist
+ * @param {string} artist - Artist name
+ * @returns {boolean} True if the artist counts as new
+ */
+function isNewArtist(artist) {
+  return newCommissions.some(entry => entry.artist === artist && isNewCommission(entry));
+}
+
+/**
+ * Marks the new commissions of artists as viewed on this device.
+ * @function markNewSeen
+ * @param {Array<string>} artists - Artist names, ignored without new commissions
+ * @note Timestamps come from new.php, a device clock off from the server
+ * clock cannot hide or repeat commissions
+ */
+function markNewSeen(artists) {
+  const unseen = newCommissions.filter(entry => artists.includes(entry.artist) && isNewCommission(entry));
+  if (!unseen.length) return;
+  unseen.forEach(({ artist, added }) => {
+    newSeen.artists[artist] = Math.max(newSeen.artists[artist] || 0, added || 0);
+  });
+  saveNewSeen();
+  renderNews();
+}
+
+/**
+ * Marks every new commission as viewed on this device.
+ * @function markAllNewSeen
+ */
+function markAllNewSeen() {
+  const unseen = newCommissions.filter(isNewCommission);
+  if (!unseen.length) return;
+  unseen.forEach(({ artist, added }) => {
+    if (added === null) {
+      newSeen.artists[artist] = newSeen.artists[artist] || 0;
+    } else {
+      newSeen.all = Math.max(newSeen.all, added);
+    }
+  });
+  saveNewSeen();
+  renderNews();
+}
+
+/**
+ * Builds the "What's new" button and its panel.
+ * @function generateNews
+ * @returns {HTMLElement} Container holding the button and the hidden panel
+ */
+function generateNews() {
+  const badge = document.createElement("span");
+  badge.className = "news-badge";
+  badge.hidden = true;
+
+  const btn = document.createElement("button");
+  btn.id = "newsBtn";
+  btn.innerText = translate("news.button");
+  btn.appendChild(badge);
+  btn.setAttribute("aria-expanded", "false");
+  btn.setAttribute("aria-controls", "news");
+  addClick(btn, toggleNews);
+
+  const title = document.createElement("strong");
+  title.innerText = translate("news.title");
+
+  const seenBtn = document.createElement("button");
+  seenBtn.className = "news-seen";
+  seenBtn.innerText = translate("news.markSeen");
+  addClick(seenBtn, markAllNewSeen);
+
+  const head = document.createElement("div");
+  head.className = "news-head";
+  head.appendChild(title);
+  head.appendChild(seenBtn);
+
+  // Filled by renderNews() once new.php answers
+  const list = document.createElement("ul");
+  list.setAttribute("role", "list");
+  const empty = document.createElement("li");
+  empty.className = "news-empty";
+  empty.innerText = translate("news.empty");
+  list.appendChild(empty);
+
+  const panel = document.createElement("div");
+  panel.id = "news";
+  panel.hidden = true;
+  panel.setAttribute("role", "region");
+  panel.setAttribute("aria-label", translate("news.button"));
+  panel.appendChild(head);
+  panel.appendChild(list);
+
+  const container = document.createElement("div");
+  container.className = "news";
+  container.appendChild(btn);
+  container.appendChild(panel);
+  return container;
+}
+
+/**
+ * Updates the badge, the panel list and the card ribbons.
+ * @function renderNews
+ * @description The panel lists the artists with their new commissions; the
+ * badge counts the commissions added since the last visit.
+ */
+function renderNews() {
+  const unseen = newCommissions.filter(isNewCommission);
+
+  const badge = document.querySelector("#newsBtn .news-badge");
+  badge.innerText = unseen.length;
+  badge.hidden = unseen.length === 0;
+  document
+    .querySelector("#newsBtn")
+    .setAttribute("aria-label", translate("news.buttonLabel", { count: unseen.length }));
+
+  const list = document.querySelector("#news ul");
+  list.innerHTML = "";
+  if (!newArtists.length) {
+    const li = document.createElement("li");
+    li.className = "news-empty";
+    li.innerText = translate("news.empty");
+    list.appendChild(li);
+  }
+  newArtists.forEach(artist => {
+    const name = document.createElement("div");
+    name.className = "news-artist";
+    name.dataset.artist = artist;
+    name.tabIndex = 0;
+    name.innerText = ucFirst(artist);
+    if (isNewArtist(artist)) {
+      name.classList.add("unseen");
+      name.appendChild(createNewRibbon());
+    }
+    addClick(name, openNewEntry);
+
+    const commissions = document.createElement("ul");
+    newCommissions
+      .filter(entry => entry.artist === artist && entry.link)
+      .forEach(entry => commissions.appendChild(createNewCommission(entry)));
+
+    const li = document.createElement("li");
+    li.append(name, commissions);
+    list.appendChild(li);
+  });
+  document.querySelector("#news .news-seen").disabled = unseen.length === 0;
+
+  document.querySelectorAll("#gallery .card").forEach(card => {
+    const ribbon = card.querySelector(".new-ribbon");
+    if (isNewArtist(card.id) && !ribbon) {
+      card.appendChild(createNewRibbon());
+    } else if (!isNewArtist(card.id) && ribbon) {
+      ribbon.remove();
+    }
+  });
+}
+
+/**
+ * Creates the panel entry of a new commission.
+ * @function createNewCommission
+ * @param {{artist: string, link: string, added: ?number}} entry - Entry of newCommissions with a link
+ * @returns {HTMLLIElement} Entry opening the artwork
+ */
+function createNewCommission(entry) {
+  const li = document.createElement("li");
+  li.dataset.artist = entry.artist;
+  li.dataset.artwork = getArtworkPath(entry.link, entry.artist);
+  li.tabIndex = 0;
+  li.innerText = li.dataset.artwork;
+  if (entry.added !== null) li.title = translate("news.added", { date: formatDate(entry.added) });
+  if (isNewCommission(entry)) li.classList.add("unseen");
+  addClick(li, openNewEntry);
+  return li;
+}
+
+/**
+ * Creates the "NEW" ribbon shown on cards and panel entries.
+ * @function createNewRibbon
+ * @returns {HTMLElement} The ribbon element
+ */
+function createNewRibbon() {
+  const ribbon = document.createElement("span");
+  ribbon.className = "new-ribbon";
+  ribbon.innerText = translate("news.ribbon");
+  return ribbon;
+}
+
+/**
+ * Opens or closes the "What's new" panel.
+ * @function toggleNews
+ * @param {MouseEvent} [event] - Click on the header button
+ */
+function toggleNews(event) {
+  const panel = document.querySelector("#news");
+  const open = panel.hidden;
+  if (event) event.stopPropagation();
+
+  panel.hidden = !open;
+  document.querySelector("#newsBtn").setAttribute("aria-expanded", String(open));
+  if (open) {
+    addClick(document, closeNewsOutside);
+    addKeyDown(document, newsKeyDown);
+  } else {
+    document.removeEventListener("click", closeNewsOutside);
+    document.removeEventListener("keydown", newsKeyDown);
+  }
+}
+
+/**
+ * Closes the panel on clicks outside of it.
+ * @function closeNewsOutside
+ * @param {MouseEvent} event - Document click
+ */
+function closeNewsOutside(event) {
+  if (!event.target.closest(".news")) toggleNews();
+}
+
+/**
+ * Handles the keyboard while the panel is open.
+ * @function newsKeyDown
+ * @param {KeyboardEvent} event - Document keydown
+ * @description Escape closes the panel, Enter opens the focused artist or commission
+ */
+function newsKeyDown(event) {
+  if (event.key === "Escape") {
+    toggleNews();
+    document.querySelector("#newsBtn").focus();
+  } else if (event.key === "Enter" && event.target.closest("#news [data-artist]")) {
+    event.target.click();
+  }
+}
+
+/**
+ * Opens the artist page or the artwork of a panel entry.
+ * @function openNewEntry
+ * @param {MouseEvent} event - Click on a panel entry
+ */
+function openNewEntry(event) {
+  const { artist, artwork } = event.currentTarget.dataset;
+  toggleNews();
+  if (artwork) {
+    navigate("artwork", { artist, artwork });
+  } else {
+    navigate("artist", { artist });
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * nsfw.js - NSFW content handling
+ * Age confirmation gate, blurred NSFW thumbnails with click-to-reveal and the
+ * NSFW preferences of this device
+ */
+
+// localStorage key holding the NSFW preferences
+const NSFW_KEY = "comex.nsfw";
+
+// NSFW preferences: age confirmed, blur of NSFW thumbnails, last filter shown
+const nsfwPreferences = readNsfwPreferences();
+// Artists of the NSFW list, see loadNsfwArtists()
+const nsfwArtists = new Set();
+// Whether the NSFW list is loaded, until then only SFW-listed artists are safe
+let nsfwArtistsLoaded = false;
+// Artists of the SFW list loaded by this page
+const sfwArtists = new Set();
+// Pending request of the NSFW list, null until requested or after a failure
+let nsfwArtistsRequest = null;
+// Answer callback of the open age gate, null while it is closed
+let ageGateResolve = null;
+// Pending answer of the open age gate, shared by every caller
+let ageGateRequest = null;
+
+/**
+ * Reads the NSFW preferences of this device.
+ * @function readNsfwPreferences
+ * @returns {{confirmed: boolean, blur: boolean, nsfw: boolean}} Stored preferences,
+ * blur on and SFW by default
+ */
+function readNsfwPreferences() {
+  const defaults = { confirmed: false, blur: true, nsfw: false };
+  try {
+    const stored = JSON.parse(localStorage.getItem(NSFW_KEY)) || {};
+    return {
+      confirmed: stored.confirmed === true,
+      blur: stored.blur !== false,
+      nsfw: stored.nsfw === true,
+    };
+  } catch (err) {
+    console.error("Failed to read NSFW preferences:", err.message);
+    return defaults;
+  }
+}
+
+/**
+ * Persists the NSFW preferences of this device.
+ * @function saveNsfwPreferences
+ */
+function saveNsfwPreferences() {
+  try {
+    localStorage.setItem(NSFW_KEY, JSON.stringify(nsfwPreferences));
+  } catch (err) {
+    console.error("Failed to persist NSFW preferences:", err.message);
+  }
+}
+
+/**
+ * Gets the filter shown on the welcome page without `isNsfw` URL parameter.
+ * @function getNsfwPreference
+ * @returns {boolean} True if the NSFW artists were shown last, age confirmed
+ */
+function getNsfwPreference() {
+  return nsfwPreferences.confirmed && nsfwPreferences.nsfw;
+}
+
+/**
+ * Remembers the filter shown on the welcome page.
+ * @function setNsfwPreference
+ * @param {boolean} nsfw - True for the NSFW artists
+ */
+function setNsfwPreference(nsfw) {
+  if (nsfwPreferences.nsfw === nsfw) return;
+  nsfwPreferences.nsfw = nsfw;
+  saveNsfwPreferences();
+}
+
+/**
+ * Starts the NSFW handling.
+ * @function initNsfw
+ * @description Applies the blur preference and starts loading the NSFW list,
+ * needed by artist pages and the favorites route.
+ */
+function initNsfw() {
+  document.body.classList.toggle("nsfw-blur", nsfwPreferences.blur);
+  document.body.appendChild(generateAgeGate());
+  loadNsfwArtists();
+}
+
+/**
+ * Stores the NSFW list.
+ * @function addNsfwArtists
+ * @param {Array<string>} artists - Artist names of the whole NSFW list
+ */
+function addNsfwArtists(artists) {
+  artists.forEach(artist => nsfwArtists.add(artist));
+  nsfwArtistsLoaded = true;
+}
+
+/**
+ * Stores artists known to be SFW.
+ * @function addSfwArtists
+ * @param {Array<string>} artists - Artist names of the SFW list
+ */
+function addSfwArtists(artists) {
+  artists.forEach(artist => sfwArtists.add(artist));
+}
+
+/**
+ * Checks whether an artist belongs to the NSFW list.
+ * @function isNsfwArtist
+ * @param {string} artist - Artist name
+ * @returns {boolean} True if listed by artists.php?isNsfw=true
+ * @note Fails closed: while the NSFW list is not loaded, every artist not
+ * listed as SFW counts as NSFW, see loadNsfwArtists()
+ */
+function isNsfwArtist(artist) {
+  if (nsfwArtists.has(artist)) return true;
+  return !nsfwArtistsLoaded && !sfwArtists.has(artist);
+}
+
+/**
+ * Loads the NSFW list once per page load.
+ * @function loadNsfwArtists
+ * @returns {Promise<Set<string>>} The NSFW set, left empty if the list is unavailable
+ * @note Uses fetchList(): the cached list answers without a connection
+ */
+function loadNsfwArtists() {
+  if (!nsfwArtistsRequest) {
+    nsfwArtistsRequest = fetchList("artists.php?isNsfw=true")
+      .then(artists => {
+        addNsfwArtists(Object.keys(artists));
+        return nsfwArtists;
+      })
+      .catch(err => {
+        console.error("Failed to load NSFW artists:", err.message);
+        nsfwArtistsRequest = null;
+        return nsfwArtists;
+      });
+  }
+  return nsfwArtistsRequest;
+}
+
+/**
+ * Checks that content may be shown, asking for the age when it is NSFW.
+ * @function confirmNsfw
+ * @param {boolean} nsfw - Whether the content is NSFW
+ * @returns {Promise<boolean>} True for SFW content or once the age is confirmed,
+ * false if the visitor leaves or the gate is closed by a navigation
+ */
+function confirmNsfw(nsfw) {
+  if (!nsfw || nsfwPreferences.confirmed) return Promise.resolve(true);
+  if (!ageGateRequest) {
+    ageGateRequest = new Promise(resolve => (ageGateResolve = resolve));
+    const gate = document.querySelector("#ageGate");
+    gate.hidden = false;
+    gate.querySelector(".age-gate-confirm").focus();
+    // Capture phase on window: runs before the keydown handlers of the page
+    window.addEventListener("keydown", ageGateKeyDown, true);
+  }
+  return ageGateRequest;
+}
+
+/**
+ * Builds the age confirmation dialog.
+ * @function generateAgeGate
+ * @returns {HTMLElement} The hidden dialog
+ */
+function generateAgeGate() {
+  const title = document.createElement("h2");
+  title.id = "ageGateTitle";
+  title.innerText = translate("nsfw.gateTitle");
+
+  const text = document.createElement("p");
+  text.id = "ageGateText";
+  text.innerText = translate("nsfw.gateText");
+
+  const confirm = document.createElement("button");
+  confirm.type = "button";
+  confirm.className = "age-gate-confirm";
+  confirm.innerText = translate("nsfw.gateConfirm");
+  addClick(confirm, () => closeAgeGate(true));
+
+  const leave = document.createElement("button");
+  leave.type = "button";
+  leave.className = "age-gate-leave";
+  leave.innerText = translate("nsfw.gateLeave");
+  addClick(leave, () => closeAgeGate(false));
+
+  const actions = document.createElement("div");
+  actions.className = "age-gate-actions";
+  actions.append(leave, confirm);
+
+  const content = document.createElement("div");
+  content.className = "age-gate-content";
+  content.append(title, text, actions);
+
+  const gate = document.createElement("div");
+  gate.id = "ageGate";
+  gate.className = "age-gate";
+  gate.hidden = true;
+  gate.setAttribute("role", "alertdialog");
+  gate.setAttribute("aria-modal", "true");
+  gate.setAttribute("aria-labelledby", title.id);
+  gate.setAttribute("aria-describedby", text.id);
+  gate.appendChild(content);
+  return gate;
+}
+
+/**
+ * Closes the age gate with an answer.
+ * @function closeAgeGate
+ * @param {boolean} confirmed - True if the visitor confirmed the age
+ * @note Called with false by loadContent(), a navigation drops the question
+ */
+function closeAgeGate(confirmed) {
+  if (!ageGateRequest) return;
+  if (confirmed) {
+    nsfwPreferences.confirmed = true;
+    saveNsfwPreferences();
+  }
+
+  document.querySelector("#ageGate").hidden = true;
+  window.removeEventListener("keydown", ageGateKeyDown, true);
+  const resolve = ageGateResolve;
+  ageGateRequest = null;
+  ageGateResolve = null;
+  resolve(confirmed);
+}
+
+/**
+ * Handles the keyboard while the age gate is open.
+ * @function ageGateKeyDown
+ * @param {KeyboardEvent} event - Window keydown, capture phase
+ * @description Escape leaves; Tab stays on the two buttons of the dialog
+ */
+function ageGateKeyDown(event) {
+  const buttons = Array.from(document.querySelectorAll("#ageGate button"));
+  if (event.key === "Escape") {
+    event.preventDefault();
+    closeAgeGate(false);
+  } else if (event.key === "Tab") {
+    event.preventDefault();
+    const index = buttons.indexOf(document.activeElement);
+    buttons[(index + (event.shiftKey ? -1 : 1) + buttons.length) % buttons.length].focus();
+  }
+  // Keeps the shortcuts of the page behind the dialog quiet
+  event.stopPropagation();
+}
+
+/**
+ * Builds the blur toggle of the navigation.
+ * @function generateNsfwBlurToggle
+ * @returns {HTMLElement} Labelled checkbox reflecting the blur preference
+ */
+function generateNsfwBlurToggle() {
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.id = "nsfwBlur";
+  input.checked = nsfwPreferences.blur;
+  input.addEventListener("change", () => setNsfwBlur(input.checked));
+
+  const label = document.createElement("label");
+  label.htmlFor = input.id;
+  label.innerText = translate("nsfw.blur");
+
+  const container = document.createElement("div");
+  container.className = "nsfw-blur-toggle";
+  container.append(input, label);
+  return container;
+}
+
+/**
+ * Turns the blur of NSFW thumbnails on or off.
+ * @function setNsfwBlur
+ * @param {boolean} blur - True to blur NSFW thumbnails until clicked
+ */
+function setNsfwBlur(blur) {
+  nsfwPreferences.blur = blur;
+  saveNsfwPreferences();
+  document.body.classList.toggle("nsfw-blur", blur);
+}
+
+/**
+ * Marks a card or preview of an NSFW artist.
+ * @function markNsfwTile
+ * @param {HTMLElement} tile - Card or preview
+ * @param {string} artist - Artist of the tile
+ * @note Marked tiles are blurred while the blur preference is on
+ */
+function markNsfwTile(tile, artist) {
+  if (!isNsfwArtist(artist)) return;
+  tile.classList.add("nsfw");
+  // Capture phase: the reveal runs before the handler opening the tile
+  tile.addEventListener("click", revealNsfwTile, true);
+}
+
+/**
+ * Reveals a blurred tile instead of opening it.
+ * @function revealNsfwTile
+ * @param {MouseEvent} event - Click on an NSFW tile
+ * @description The first click on a blurred thumbnail reveals it, the next
+ * ones open it. Favorite and tag toggles keep working while blurred.
+ */
+function revealNsfwTile(event) {
+  const tile = event.currentTarget;
+  if (!document.body.classList.contains("nsfw-blur") || tile.classList.contains("revealed")) return;
+  if (event.target.closest(".favorite-toggle, .tag-toggle, #tagEditor")) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  tile.classList.add("revealed");
+}
@@ -0,0 +1,165 @@
+/**
+ * offline.js - Offline support for the explorer
+ * Registers the service worker, caches API lists in IndexedDB and shows the
+ * offline indicator
+ */
+
+// Service worker script, at the site root so it controls both pages
+const SERVICE_WORKER_URL = "./sw.js";
+// IndexedDB database holding the artist and artwork lists
+const LIST_DB_NAME = "comex";
+const LIST_DB_VERSION = 1;
+const LIST_STORE = "lists";
+
+// Database connection, opened on first use
+let listDatabase = null;
+// Whether the backend is currently unreachable
+let isOffline = false;
+
+/**
+ * Starts the offline support of the page.
+ * @function initOffline
+ * @description Registers the service worker and follows the browser
+ * connectivity events. The indicator also turns on when the NAS does not
+ * answer while the browser is online, see fetchList().
+ */
+function initOffline() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .catch(err => console.error("Failed to register service worker:", err.message));
+  }
+
+  window.addEventListener("online", () => setOffline(false));
+  window.addEventListener("offline", () => setOffline(true));
+  setOffline(!navigator.onLine);
+}
+
+/**
+ * Shows or hides the offline indicator.
+ * @function setOffline
+ * @param {boolean} offline - Whether the backend is unreachable
+ */
+function setOffline(offline) {
+  if (offline === isOffline) return;
+  isOffline = offline;
+  document.body.classList.toggle("offline", offline);
+  const indicator = document.querySelector("#offline");
+  if (indicator) indicator.hidden = !offline;
+  console.debug(offline ? "Offline, browsing cached lists." : "Back online.");
+}
+
+/**
+ * Opens the list database.
+ * @function openListDatabase
+ * @returns {Promise<IDBDatabase>} The shared connection
+ */
+function openListDatabase() {
+  if (!listDatabase) {
+    listDatabase = new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) {
+        reject(new Error("IndexedDB is not supported"));
+        return;
+      }
+      const request = indexedDB.open(LIST_DB_NAME, LIST_DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(LIST_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open is retried on the next call
+    listDatabase.catch(() => (listDatabase = null));
+  }
+  return listDatabase;
+}
+
+/**
+ * Reads a cached list.
+ * @function readList
+ * @async
+ * @param {string} key - List key, see fetchList()
+ * @returns {Promise<{data: *, updated: number}|undefined>} The cached entry, undefined if missing
+ * @note Storage errors are logged and read as a cache miss
+ */
+async function readList(key) {
+  try {
+    const db = await openListDatabase();
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(LIST_STORE).objectStore(LIST_STORE).get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (err) {
+    console.error("Failed to read cached list:", err.message);
+    return undefined;
+  }
+}
+
+/**
+ * Stores a list.
+ * @function writeList
+ * @async
+ * @param {string} key - List key, see fetchList()
+ * @param {*} data - Parsed API response
+ * @note Storage errors are logged, the page keeps working uncached
+ */
+async function writeList(key, data) {
+  try {
+    const db = await openListDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(LIST_STORE, "readwrite");
+      transaction.objectStore(LIST_STORE).put({ data, updated: Date.now() }, key);
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (err) {
+    console.error("Failed to cache list:", err.message);
+  }
+}
+
+/**
+ * Fetches a JSON list from the API with stale-while-revalidate caching.
+ * @function fetchList
+ * @async
+ * @param {string} endpoint - Script name with optional query string, as for apiFetch()
+ * @param {RequestInit} [init={}] - Fetch options, a URLSearchParams body is part of the cache key
+ * @param {Function} [onUpdate] - Called with the fresh list when it differs from the cached one
+ * @returns {Promise<*>} The cached list when there is one, the fetched list otherwise
+ * @description The cached list is returned right away while the API is
+ * queried in the background. Without a cached list the call waits for the
+ * API. Network failures turn the offline indicator on, successful calls turn
+ * it off.
+ * @throws {Error} When nothing is cached and the API call fails
+ * @example
+ * const artists = await fetchList(`artists.php?isNsfw=${isNsfw}`, {}, loadContent);
+ */
+async function fetchList(endpoint, init = {}, onUpdate) {
+  const key = `${host}api/${endpoint}${init.body ? `#${init.body}` : ""}`;
+  const cached = await readList(key);
+
+  const revalidate = apiFetch(endpoint, init)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(data => {
+      setOffline(false);
+      writeList(key, data);
+      return data;
+    })
+    .catch(err => {
+      // fetch() rejects with a TypeError when the server cannot be reached
+      if (err.name === "TypeError") setOffline(true);
+      throw err;
+    });
+
+  if (cached === undefined) return revalidate;
+
+  revalidate
+    .then(data => {
+      if (onUpdate && JSON.stringify(data) !== JSON.stringify(cached.data)) onUpdate(data);
+    })
+    .catch(err => {
+      if (err.name !== "AbortError") console.error(`Failed to revalidate ${endpoint}:`, err.message);
+    });
+  return cached.data;
+}
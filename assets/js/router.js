@@ -0,0 +1,309 @@
+/**
+ * router.js - Client-side routes of the explorer
+ * Declarative route table, typed query parameters and history handling:
+ * every URL of the app is read and built here
+ */
+
+// Query parameter types: how a raw value is parsed, and formatted back
+// (formatting to "" leaves the parameter out of the URL)
+const ROUTE_PARAM_TYPES = {
+  string: {
+    parse: value => value || null,
+    format: value => value || "",
+  },
+  boolean: {
+    parse: value => value === "true",
+    format: value => (value ? "true" : ""),
+  },
+  // Boolean told apart from a missing parameter, which parses to null
+  optionalBoolean: {
+    parse: value => (value === null ? null : value === "true"),
+    format: value => (value === null || value === undefined ? "" : String(value)),
+  },
+  path: {
+    parse: value => (value || "").split("/").filter(segment => segment && segment !== "." && segment !== "..").join("/"),
+    format: value => value || "",
+  },
+  list: {
+    parse: value => (value || "").split(",").map(item => item.trim()).filter(Boolean),
+    format: value => (value || []).join(","),
+  },
+};
+
+// Parameters selecting the route and what it loads
+const ROUTE_PARAMS = {
+  artist: "string",
+  artwork: "string",
+  path: "path",
+  isNsfw: "optionalBoolean",
+  favorites: "boolean",
+};
+
+// Parameters changing how the route is shown, not what it loads; they are
+// kept across navigations and changing them does not reload the route
+const VIEW_PARAMS = {
+  tags: "list",
+  tagMode: "string",
+  sort: "string",
+};
+
+// Route table, the first route whose required parameters are set wins
+// - query: ROUTE_PARAMS kept in the URL of the route
+// - fixed: parameter values the route always has
+// - home: shares the welcome page layout, with the content filters
+// - load: loader called with the load session of the route
+// - title, description: page metadata from the route parameters
+const ROUTES = [
+  {
+    name: "artwork",
+    query: ["artist", "artwork", "path"],
+    required: ["artist", "artwork"],
+    load: session => loadArtworks(session),
+    title: ({ artist }) => ucFirst(artist),
+    description: ({ artist }) => translate("route.artist", { artist }),
+  },
+  {
+    name: "folder",
+    query: ["artist", "path"],
+    required: ["artist", "path"],
+    load: session => loadArtworks(session),
+    title: ({ artist }) => ucFirst(artist),
+    description: ({ artist }) => translate("route.artist", { artist }),
+  },
+  {
+    name: "artist",
+    query: ["artist"],
+    required: ["artist"],
+    load: session => loadArtworks(session),
+    title: ({ artist }) => ucFirst(artist),
+    description: ({ artist }) => translate("route.artist", { artist }),
+  },
+  {
+    name: "favorites",
+    query: ["favorites"],
+    required: ["favorites"],
+    fixed: { favorites: true },
+    home: true,
+    load: session => loadFavorites(session),
+    title: () => translate("route.favorites"),
+    description: () => translate("route.favoritesDescription"),
+  },
+  {
+    name: "welcome",
+    query: ["isNsfw"],
+    required: [],
+    home: true,
+    load: session => loadArtists(session),
+    title: () => translate("route.welcome"),
+    description: () => translate("route.welcomeDescription"),
+  },
+];
+
+// Route rendered by the last renderRoute(), see getRouteKey()
+let loadedRoute = null;
+
+/**
+ * Parses the raw value of a route or view parameter.
+ * @function parseRouteParam
+ * @param {string} key - Key of ROUTE_PARAMS or VIEW_PARAMS
+ * @param {?string} value - Raw value, null or undefined when missing
+ * @returns {*} Typed value, see ROUTE_PARAM_TYPES
+ */
+function parseRouteParam(key, value) {
+  const type = ROUTE_PARAMS[key] || VIEW_PARAMS[key];
+  return ROUTE_PARAM_TYPES[type].parse(value === undefined ? null : value);
+}
+
+/**
+ * Formats a typed route or view parameter for the URL.
+ * @function formatRouteParam
+ * @param {string} key - Key of ROUTE_PARAMS or VIEW_PARAMS
+ * @param {*} value - Typed value
+ * @returns {string} Raw value, "" when the parameter is left out
+ */
+function formatRouteParam(key, value) {
+  const type = ROUTE_PARAMS[key] || VIEW_PARAMS[key];
+  return ROUTE_PARAM_TYPES[type].format(value);
+}
+
+/**
+ * Resolves the route of the current URL.
+ * @function getRoute
+ * @returns {{name: string, params: object, view: object}} Entry of ROUTES with
+ * the typed route parameters and view parameters of the URL
+ * @example
+ * // URL: ?artist=vangogh&path=sketches&tags=cafe
+ * getRoute(); // Returns { name: "folder", params: { artist: "vangogh", path: "sketches", ... }, view: { tags: ["cafe"], ... }, ... }
+ */
+function getRoute() {
+  const searchParams = new URLSearchParams(window.location.search);
+  const params = {};
+  const view = {};
+  Object.keys(ROUTE_PARAMS).forEach(key => (params[key] = parseRouteParam(key, searchParams.get(key))));
+  Object.keys(VIEW_PARAMS).forEach(key => (view[key] = parseRouteParam(key, searchParams.get(key))));
+
+  const route = ROUTES.find(({ required }) => required.every(key => params[key]));
+  return { ...route, params, view };
+}
+
+/**
+ * Checks the current route.
+ * @function isRoute
+ * @param {...string} names - Route names
+ * @returns {boolean} True if the current URL resolves to one of them
+ * @example
+ * isRoute("welcome", "favorites"); // Returns true on both home routes
+ */
+function isRoute(...names) {
+  return names.includes(getRoute().name);
+}
+
+/**
+ * Builds the URL of a route.
+ * @function getRouteUrl
+ * @param {string} name - Route name
+ * @param {object} [params] - Typed route parameters; missing ones are taken
+ * from the current route when the target route uses them
+ * @param {{share: boolean}} [options] - `share` builds a link for another
+ * device: only the given parameters are kept, configuration included
+ * @returns {string} Path and query string of the route
+ * @note View parameters and parameters unknown to the router (configuration)
+ * are kept as they are
+ * @example
+ * // URL: ?artist=vangogh&sort=updated
+ * getRouteUrl("folder", { path: "sketches" }); // Returns "/index.html?sort=updated&artist=vangogh&path=sketches"
+ */
+function getRouteUrl(name, params = {}, { share = false } = {}) {
+  const route = ROUTES.find(entry => entry.name === name);
+  const values = { ...(share ? {} : getRoute().params), ...params, ...route.fixed };
+  const searchParams = new URLSearchParams();
+
+  new URLSearchParams(window.location.search).forEach((value, key) => {
+    if (key in ROUTE_PARAMS || share) return;
+    searchParams.append(key, value);
+  });
+  route.query.forEach(key => {
+    const value = formatRouteParam(key, values[key]);
+    if (value) searchParams.set(key, value);
+  });
+  return `${document.location.pathname}` + (searchParams.toString() === "" ? "" : "?") + `${searchParams.toString()}`;
+}
+
+/**
+ * Identifies the route of the current URL.
+ * @function getRouteKey
+ * @returns {string} Route name and route parameters, without VIEW_PARAMS
+ * @example
+ * // URL: ?artist=vangogh&tags=sketch
+ * getRouteKey(); // Returns "artist?artist=vangogh"
+ */
+function getRouteKey() {
+  const route = getRoute();
+  const searchParams = new URLSearchParams();
+  route.query.forEach(key => {
+    const value = formatRouteParam(key, route.params[key]);
+    if (value) searchParams.set(key, value);
+  });
+  return `${route.name}?${searchParams.toString()}`;
+}
+
+/**
+ * Navigates to a route.
+ * @function navigate
+ * @param {string} name - Route name
+ * @param {object} [params] - Typed route parameters, see getRouteUrl()
+ * @param {{replace: boolean}} [options] - `replace` replaces the history entry
+ * instead of adding one
+ * @example
+ * navigate("artist", { artist: "vangogh" });
+ */
+function navigate(name, params = {}, { replace = false } = {}) {
+  const url = getRouteUrl(name, params);
+  if (url === `${document.location.pathname}${document.location.search}`) return;
+
+  const state = { route: name };
+  if (replace) {
+    history.replaceState(state, "", url);
+  } else {
+    history.pushState(state, "", url);
+  }
+  renderRoute(true);
+}
+
+/**
+ * Navigates to the route described by the data attributes of an element.
+ * @function followRoute
+ * @param {Event} event - Click on an element with a `data-route` attribute;
+ * its other data attributes named after ROUTE_PARAMS are the route parameters
+ * @example
+ * // <div data-route="artist" data-artist="vangogh">
+ * addClick(card, followRoute);
+ */
+function followRoute(event) {
+  event.preventDefault();
+  const { route: name, ...data } = event.currentTarget.dataset;
+  const route = ROUTES.find(entry => entry.name === name);
+  const params = {};
+  route.query.forEach(key => {
+    if (key in data) params[key] = parseRouteParam(key, data[key]);
+  });
+  navigate(name, params);
+}
+
+/**
+ * Writes view parameters to the URL and applies them.
+ * @function setViewParams
+ * @param {object} params - Typed values by key of VIEW_PARAMS
+ * @note Replaces the history entry and keeps the loaded route
+ * @see applyViewParams
+ */
+function setViewParams(params) {
+  const searchParams = new URLSearchParams(window.location.search);
+  Object.entries(params).forEach(([key, value]) => {
+    const formatted = formatRouteParam(key, value);
+    if (formatted) {
+      searchParams.set(key, formatted);
+    } else {
+      searchParams.delete(key);
+    }
+  });
+
+  const newUrl = `${document.location.pathname}` + (searchParams.toString() === "" ? "" : "?") + `${searchParams.toString()}`;
+  history.replaceState(history.state, "", newUrl);
+  applyViewParams();
+}
+
+/**
+ * Renders the route of the current URL.
+ * @function renderRoute
+ * @param {boolean} [reuse=false] - Keeps the loaded route when only the view
+ * parameters changed, they are reapplied instead
+ * @see loadContent
+ */
+function renderRoute(reuse = false) {
+  const key = getRouteKey();
+  if (reuse && key === loadedRoute) {
+    applyViewParams();
+    return;
+  }
+  loadedRoute = key;
+  loadContent();
+}
+
+/**
+ * Renders the route of a history entry reached with back or forward.
+ * @function onRoutePopState
+ * @param {PopStateEvent} event - Window popstate
+ */
+function onRoutePopState(event) {
+  renderRoute(true);
+}
+
+/**
+ * Starts the router: handles back and forward, then renders the current URL.
+ * @function initRouter
+ */
+function initRouter() {
+  addPopState(onRoutePopState);
+  renderRoute();
+}
@@ -0,0 +1,311 @@
+/**
+ * search.js - Ranked fuzzy matching for the search bar
+ * Matches substrings, subsequences and single typos, ignoring accents and case
+ */
+
+// Maximum number of artwork results listed under the suggestions
+const ARTWORK_RESULTS_LIMIT = 50;
+// artworks.php requests running at the same time while indexing
+const ARTWORK_INDEX_CONCURRENCY = 4;
+
+// IndexedDB list key prefix of the persisted artwork indexes, see buildArtworkIndex()
+const ARTWORK_INDEX_KEY = "artwork-index";
+
+// Artwork index builds by NSFW filter ("true" / "false"), see buildArtworkIndex()
+const artworkIndexes = new Map();
+// Artwork index entries by NSFW filter, once built
+const artworkIndexEntries = new Map();
+
+// Score bands, a better kind of match always ranks first
+const SEARCH_SUBSTRING_SCORE = 3000;
+const SEARCH_SUBSEQUENCE_SCORE = 2000;
+const SEARCH_TYPO_SCORE = 1000;
+
+/**
+ * Normalizes text for matching while keeping track of original positions.
+ * @function normalizeSearch
+ * @param {string} text - Text to normalize
+ * @returns {{text: string, positions: Array<number>}} Lowercase text without
+ * accents, and for each of its characters the index of the source character
+ * @example
+ * normalizeSearch("Élodie").text; // Returns "elodie"
+ */
+function normalizeSearch(text) {
+  let normalized = "";
+  const positions = [];
+
+  Array.from(text).forEach((char, idx) => {
+    const plain = char.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    for (const part of plain) {
+      normalized += part;
+      positions.push(idx);
+    }
+  });
+
+  return { text: normalized, positions };
+}
+
+/**
+ * Scores how well a query matches a text.
+ * @function fuzzyMatch
+ * @param {string} query - Search input
+ * @param {string} text - Candidate text (artist name, file name...)
+ * @param {{subsequence?: boolean}} [options] - `subsequence: false` skips
+ * subsequence matching, which is too loose for long paths
+ * @returns {{score: number, indices: Array<number>}|null} Higher scores are
+ * better matches, `indices` lists the matched characters of `text` (as
+ * returned by Array.from). Null when the text does not match.
+ * @description Tries, in order of preference:
+ * 1. Substring: "rabbit" in "whiterabbit", earlier and word starts rank higher
+ * 2. Subsequence: "wrbt" in "whiterabbit", tighter matches rank higher
+ * 3. Typo: a window of the text within one edit (two for long queries),
+ *    swapped letters counting as one edit
+ * @example
+ * fuzzyMatch("rabit", "whiterabbit"); // Typo match on "rabbit"
+ */
+function fuzzyMatch(query, text, options = {}) {
+  const q = normalizeSearch(query.trim()).text;
+  const target = normalizeSearch(text);
+  const t = target.text;
+  if (!q || !t) return null;
+
+  // Maps indices of the normalized text back to source characters
+  const toSource = indices => Array.from(new Set(indices.map(idx => target.positions[idx])));
+
+  const start = t.indexOf(q);
+  if (start > -1) {
+    const atWord = start === 0 || /[^a-z0-9]/.test(t[start - 1]);
+    return {
+      score: SEARCH_SUBSTRING_SCORE - start * 2 + (atWord ? 100 : 0) - (t.length - q.length),
+      indices: toSource(Array.from({ length: q.length }, (_, i) => start + i)),
+    };
+  }
+
+  const subsequence = options.subsequence !== false && matchSubsequence(q, t);
+  if (subsequence) {
+    return {
+      score: SEARCH_SUBSEQUENCE_SCORE - subsequence.gaps * 10 - subsequence.indices[0],
+      indices: toSource(subsequence.indices),
+    };
+  }
+
+  const maxTypos = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  const typo = matchWithTypos(q, t, maxTypos);
+  if (typo) {
+    return {
+      score: SEARCH_TYPO_SCORE - typo.distance * 100 - typo.start,
+      indices: toSource(Array.from({ length: typo.end - typo.start }, (_, i) => typo.start + i)),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Finds the query characters in order inside the text.
+ * @function matchSubsequence
+ * @param {string} q - Normalized query
+ * @param {string} t - Normalized text
+ * @returns {{indices: Array<number>, gaps: number}|null} Matched indices and
+ * number of skipped characters between them, null if a character is missing
+ * @note Needs at least two characters so single letters do not match everything
+ */
+function matchSubsequence(q, t) {
+  if (q.length < 2) return null;
+
+  const indices = [];
+  let from = 0;
+  for (const char of q) {
+    const idx = t.indexOf(char, from);
+    if (idx === -1) return null;
+    indices.push(idx);
+    from = idx + 1;
+  }
+
+  return { indices, gaps: indices[indices.length - 1] - indices[0] + 1 - q.length };
+}
+
+/**
+ * Finds the window of the text closest to the query (approximate substring match).
+ * @function matchWithTypos
+ * @param {string} q - Normalized query
+ * @param {string} t - Normalized text
+ * @param {number} maxTypos - Maximum edit distance accepted
+ * @returns {{distance: number, start: number, end: number}|null} Best window, null if too distant
+ * @description Sellers' variant of the optimal string alignment distance: the
+ * window may start anywhere in the text, insertions, deletions, substitutions
+ * and swaps of adjacent letters cost one edit each.
+ */
+function matchWithTypos(q, t, maxTypos) {
+  if (maxTypos === 0) return null;
+
+  // dist[i][j]: edits to match q[0..i) with a window of t ending at j
+  // from[i][j]: where that window starts in t
+  const dist = [Array(t.length + 1).fill(0)];
+  const from = [Array.from({ length: t.length + 1 }, (_, j) => j)];
+
+  for (let i = 1; i <= q.length; i++) {
+    dist[i] = [i];
+    from[i] = [0];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = q[i - 1] === t[j - 1] ? 0 : 1;
+      const options = [
+        [dist[i - 1][j - 1] + cost, from[i - 1][j - 1]],
+        [dist[i - 1][j] + 1, from[i - 1][j]],
+        [dist[i][j - 1] + 1, from[i][j - 1]],
+      ];
+      if (i > 1 && j > 1 && q[i - 1] === t[j - 2] && q[i - 2] === t[j - 1]) {
+        options.push([dist[i - 2][j - 2] + 1, from[i - 2][j - 2]]);
+      }
+      const best = options.reduce((a, b) => (b[0] < a[0] ? b : a));
+      dist[i][j] = best[0];
+      from[i][j] = best[1];
+    }
+  }
+
+  let best = null;
+  for (let j = 1; j <= t.length; j++) {
+    const distance = dist[q.length][j];
+    if (distance <= maxTypos && (!best || distance < best.distance)) {
+      best = { distance, start: from[q.length][j], end: j };
+    }
+  }
+  return best;
+}
+
+/**
+ * Appends text to an element with the matched characters wrapped in <mark>.
+ * @function appendHighlighted
+ * @param {HTMLElement} parent - Element receiving the text
+ * @param {string} text - Text to display
+ * @param {Array<number>} indices - Matched character indices, as returned by fuzzyMatch()
+ */
+function appendHighlighted(parent, text, indices) {
+  const matched = new Set(indices);
+  let run = "";
+  let runMatched = false;
+
+  const flush = () => {
+    if (!run) return;
+    if (runMatched) {
+      const mark = document.createElement("mark");
+      mark.textContent = run;
+      parent.appendChild(mark);
+    } else {
+      parent.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+
+  Array.from(text).forEach((char, idx) => {
+    if (matched.has(idx) !== runMatched) {
+      flush();
+      runMatched = matched.has(idx);
+    }
+    run += char;
+  });
+  flush();
+}
+
+/**
+ * Builds the index of every artwork path of the current artist set.
+ * @function buildArtworkIndex
+ * @async
+ * @param {boolean} nsfw - Artist set to index
+ * @returns {Promise<Array<{artist: string, path: string, link: string}>>} One
+ * entry per artwork: its artist, its path inside the artist folder and its
+ * relative link (../commissions/...)
+ * @description The index is persisted in IndexedDB with the commission count
+ * of each artist. A build reads stats.php once and only calls artworks.php,
+ * ARTWORK_INDEX_CONCURRENCY at a time, for artists missing from the persisted
+ * index or whose count changed; the first build of a device lists them all.
+ * The promise and its entries are cached so the index is built once per page
+ * load and filter, and both are dropped when stats.php reports new counts.
+ * @note Artists whose list fails to load are left out of the index, and
+ * indexed again on the next build
+ */
+function buildArtworkIndex(nsfw) {
+  const key = String(nsfw);
+  if (!artworkIndexes.has(key)) {
+    const build = (async () => {
+      const listKey = `${host}${ARTWORK_INDEX_KEY}/${key}`;
+      const artists = Object.keys(await fetchList(`artists.php?isNsfw=${nsfw}`));
+      const stored = ((await readList(listKey)) || {}).data || {};
+
+      // New counts from the stats.php revalidation: the next search rebuilds the index
+      const invalidate = () => {
+        if (artworkIndexes.get(key) !== build) return;
+        artworkIndexes.delete(key);
+        artworkIndexEntries.delete(key);
+      };
+
+      // Without stats.php, indexed artists are kept as they are
+      let counts = null;
+      try {
+        const stats = await fetchList("stats.php", {}, invalidate);
+        if (stats.error) throw new Error(stats.error);
+        counts = { ...stats.sfw.commissions.details, ...stats.nsfw.commissions.details };
+      } catch (err) {
+        console.error("Failed to read commission counts for the artwork index:", err.message);
+      }
+
+      const index = {};
+      const stale = artists.filter(artist => {
+        const known = stored[artist];
+        if (known && (!counts || known.count === counts[artist])) {
+          index[artist] = known;
+          return false;
+        }
+        return true;
+      });
+
+      await runConcurrently(stale, ARTWORK_INDEX_CONCURRENCY, null, async artist => {
+        try {
+          const links = await fetchList("artworks.php", {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({ artist }),
+          });
+          index[artist] = { count: counts ? counts[artist] : links.length, links };
+        } catch (err) {
+          console.error(`Failed to index artworks of ${artist}:`, err.message);
+        }
+      });
+      if (stale.length) writeList(listKey, index);
+
+      const entries = [];
+      Object.entries(index).forEach(([artist, { links }]) => {
+        links.forEach(link => {
+          entries.push({ artist, path: getArtworkPath(link, artist), link });
+        });
+      });
+
+      // Invalidated meanwhile, the entries stay out of the searches
+      if (artworkIndexes.get(key) === build) artworkIndexEntries.set(key, entries);
+      return entries;
+    })();
+
+    // A failed build is retried on the next search
+    build.catch(err => {
+      console.error("Failed to build artwork index:", err.message);
+      artworkIndexes.delete(key);
+    });
+    artworkIndexes.set(key, build);
+  }
+  return artworkIndexes.get(key);
+}
+
+/**
+ * Searches the artwork index.
+ * @function searchArtworks
+ * @param {string} query - Search input
+ * @param {Array<{artist: string, path: string, link: string}>} index - Entries from buildArtworkIndex()
+ * @returns {Array<{entry: object, match: object}>} Best matches first, at most ARTWORK_RESULTS_LIMIT
+ */
+function searchArtworks(query, index) {
+  return index
+    .map(entry => ({ entry, match: fuzzyMatch(query, entry.path, { subsequence: false }) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score || a.entry.path.localeCompare(b.entry.path))
+    .slice(0, ARTWORK_RESULTS_LIMIT);
+}
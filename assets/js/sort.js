@@ -0,0 +1,168 @@
+/**
+ * sort.js - Sort orders of the artist gallery
+ * The order is chosen in the navigation, persisted per device and reflected
+ * in the `sort` URL parameter
+ */
+
+// Sort orders with the message keys of their labels, the first one is the default
+const ARTIST_SORTS = {
+  alpha: "sort.alpha",
+  commissions: "sort.commissions",
+  updated: "sort.updated",
+  new: "sort.new",
+  favorites: "sort.favorites",
+};
+// localStorage key holding the chosen order
+const SORT_KEY = "comex.sort";
+// localStorage key holding when each artist commission count last changed
+const ARTIST_UPDATES_KEY = "comex.artistUpdates";
+
+// Commission counts by artist from stats.php, null until loaded
+let artistCommissions = null;
+// Commission counts and the time this device saw them change, by artist
+let artistUpdates = {};
+
+/**
+ * Returns the active sort order.
+ * @function getArtistSort
+ * @returns {string} Key of ARTIST_SORTS: the `sort` URL parameter, else the
+ * stored choice, else the default order
+ */
+function getArtistSort() {
+  const { sort } = getRoute().view;
+  if (sort in ARTIST_SORTS) return sort;
+  let stored = null;
+  try {
+    stored = localStorage.getItem(SORT_KEY);
+  } catch (err) {
+    console.error("Failed to read sort order:", err.message);
+  }
+  return stored in ARTIST_SORTS ? stored : Object.keys(ARTIST_SORTS)[0];
+}
+
+/**
+ * Persists a sort order and writes it to the URL.
+ * @function setArtistSort
+ * @param {string} sort - Key of ARTIST_SORTS
+ * @note Replaces the history entry; `sort` is a view parameter, see VIEW_PARAMS
+ */
+function setArtistSort(sort) {
+  try {
+    localStorage.setItem(SORT_KEY, sort);
+  } catch (err) {
+    console.error("Failed to persist sort order:", err.message);
+  }
+
+  setViewParams({ sort });
+}
+
+/**
+ * Builds the sort control of the navigation.
+ * @function generateArtistSort
+ * @returns {HTMLElement} Labelled select listing ARTIST_SORTS
+ */
+function generateArtistSort() {
+  const select = document.createElement("select");
+  select.id = "artistSort";
+  Object.entries(ARTIST_SORTS).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.innerText = translate(label);
+    select.appendChild(option);
+  });
+  select.value = getArtistSort();
+  select.addEventListener("change", () => setArtistSort(select.value));
+
+  const label = document.createElement("label");
+  label.htmlFor = select.id;
+  label.innerText = translate("sort.label");
+
+  const container = document.createElement("div");
+  container.className = "artist-sort";
+  container.append(label, select);
+  return container;
+}
+
+/**
+ * Loads the commission counts used by the "commissions" and "updated" orders.
+ * @function loadArtistCommissions
+ * @description Reads stats.php once per page load; the counts are applied
+ * again when the revalidated answer differs from the cached one.
+ * @see setArtistCommissions
+ */
+function loadArtistCommissions() {
+  try {
+    artistUpdates = JSON.parse(localStorage.getItem(ARTIST_UPDATES_KEY)) || {};
+  } catch (err) {
+    console.error("Failed to read artist updates:", err.message);
+  }
+
+  fetchList("stats.php", {}, setArtistCommissions)
+    .then(setArtistCommissions)
+    .catch(err => console.error("Failed to load commission counts:", err.message));
+}
+
+/**
+ * Stores the commission counts of stats.php and reorders the cards.
+ * @function setArtistCommissions
+ * @param {object} stats - stats.php answer
+ * @description The "updated" order is "changed since last visit": each count
+ * is compared with the last one this device saw, and artists whose count
+ * changed come first, latest change first. It is computed on the device, so
+ * there is nothing to compare on a first visit and the order is then A → Z.
+ * @throws {Error} When stats.php answers with an error
+ */
+function setArtistCommissions(stats) {
+  if (stats.error) throw new Error(stats.error);
+  artistCommissions = { ...stats.sfw.commissions.details, ...stats.nsfw.commissions.details };
+
+  const firstVisit = Object.keys(artistUpdates).length === 0;
+  Object.entries(artistCommissions).forEach(([artist, count]) => {
+    const known = artistUpdates[artist];
+    if (!known || known.count !== count) {
+      artistUpdates[artist] = { count, since: firstVisit ? 0 : Date.now() };
+    }
+  });
+  try {
+    localStorage.setItem(ARTIST_UPDATES_KEY, JSON.stringify(artistUpdates));
+  } catch (err) {
+    console.error("Failed to persist artist updates:", err.message);
+  }
+  sortArtistCards();
+}
+
+/**
+ * Compares two artists for a sort order.
+ * @function compareArtists
+ * @param {string} a - Artist name
+ * @param {string} b - Artist name
+ * @param {string} sort - Key of ARTIST_SORTS
+ * @returns {number} Negative if `a` comes first; ties fall back on A → Z
+ */
+function compareArtists(a, b, sort) {
+  const rank = {
+    commissions: artist => -((artistCommissions && artistCommissions[artist]) || 0),
+    updated: artist => -((artistUpdates[artist] && artistUpdates[artist].since) || 0),
+    new: artist => (newArtists.includes(artist) ? newArtists.indexOf(artist) : newArtists.length),
+    favorites: artist => (isFavorite("artists", artist) ? 0 : 1),
+  }[sort];
+
+  return (rank ? rank(a) - rank(b) : 0) || a.localeCompare(b, undefined, { sensitivity: "base" });
+}
+
+/**
+ * Reorders the artist cards of the gallery.
+ * @function sortArtistCards
+ * @note Called again when new.php or stats.php answer, since some orders depend on them
+ */
+function sortArtistCards() {
+  const sort = getArtistSort();
+  const select = document.querySelector("#artistSort");
+  if (select) select.value = sort;
+  if (!isRoute("welcome")) return;
+
+  const gallery = document.querySelector("#gallery");
+  Array.from(gallery.querySelectorAll(".card"))
+    .sort((a, b) => compareArtists(a.id, b.id, sort))
+    .forEach(card => gallery.appendChild(card));
+}
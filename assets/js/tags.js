@@ -0,0 +1,418 @@
+/**
+ * tags.js - User-defined tags on artists and artworks
+ * Tag editor with autocomplete, and the AND/OR tag filter of the gallery
+ * reflected in the `tags` and `tagMode` URL parameters
+ */
+
+// localStorage key holding the tags of this device
+const TAGS_KEY = "comex.tags";
+
+// Tags by artist name and by artwork link (../commissions/...)
+const tags = readTags();
+
+// Element (card or preview) whose tags are being edited
+let tagEditorTarget = null;
+
+/**
+ * Reads the tags of this device.
+ * @function readTags
+ * @returns {{artists: Object<string, Array<string>>, artworks: Object<string, Array<string>>}} Stored tags
+ */
+function readTags() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TAGS_KEY)) || {};
+    return { artists: stored.artists || {}, artworks: stored.artworks || {} };
+  } catch (err) {
+    console.error("Failed to read tags:", err.message);
+    return { artists: {}, artworks: {} };
+  }
+}
+
+/**
+ * Persists the tags of this device.
+ * @function saveTags
+ */
+function saveTags() {
+  try {
+    localStorage.setItem(TAGS_KEY, JSON.stringify(tags));
+  } catch (err) {
+    console.error("Failed to persist tags:", err.message);
+  }
+}
+
+/**
+ * Normalizes a tag typed by the user.
+ * @function normalizeTag
+ * @param {string} tag - Raw input
+ * @returns {string} Lowercase tag without commas nor repeated spaces, empty if blank
+ * @example
+ * normalizeTag("  Full   Body, "); // Returns "full body"
+ */
+function normalizeTag(tag) {
+  return tag.replace(/,/g, " ").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Lists the tags of an artist or an artwork.
+ * @function getTags
+ * @param {"artists"|"artworks"} kind - Tag owner type
+ * @param {string} key - Artist name or artwork link
+ * @returns {Array<string>} The tags, in the order they were added
+ */
+function getTags(kind, key) {
+  return tags[kind][key] || [];
+}
+
+/**
+ * Replaces the tags of an artist or an artwork.
+ * @function setTags
+ * @param {"artists"|"artworks"} kind - Tag owner type
+ * @param {string} key - Artist name or artwork link
+ * @param {Array<string>} list - New tags
+ */
+function setTags(kind, key, list) {
+  const unique = Array.from(new Set(list.map(normalizeTag).filter(Boolean)));
+  if (unique.length) {
+    tags[kind][key] = unique;
+  } else {
+    delete tags[kind][key];
+  }
+  saveTags();
+  updateTagOptions();
+  document.querySelectorAll(`.tag-toggle[data-kind="${kind}"]`).forEach(btn => {
+    if (btn.dataset.key === key) updateTagButton(btn);
+  });
+  applyTagFilter();
+}
+
+/**
+ * Lists every tag in use, most used first.
+ * @function getAllTags
+ * @returns {Array<string>} Known tags
+ */
+function getAllTags() {
+  const counts = new Map();
+  [...Object.values(tags.artists), ...Object.values(tags.artworks)].forEach(list => {
+    list.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+/**
+ * Refreshes the autocomplete list shared by the tag inputs.
+ * @function updateTagOptions
+ * @param {HTMLDataListElement} [datalist] - List to fill, #tag-options by default
+ */
+function updateTagOptions(datalist = document.querySelector("#tag-options")) {
+  datalist.innerHTML = "";
+  getAllTags().forEach(tag => {
+    const option = document.createElement("option");
+    option.value = tag;
+    datalist.appendChild(option);
+  });
+}
+
+/**
+ * Reads the tag filter from the URL.
+ * @function getTagFilter
+ * @returns {{tags: Array<string>, mode: "and"|"or"}} Active tags and how they combine
+ * @example
+ * // URL: ?tags=sketch,full%20body&tagMode=or
+ * getTagFilter(); // Returns { tags: ["sketch", "full body"], mode: "or" }
+ */
+function getTagFilter() {
+  const { tags, tagMode } = getRoute().view;
+  return {
+    tags: tags.map(normalizeTag).filter(Boolean),
+    mode: tagMode === "or" ? "or" : "and",
+  };
+}
+
+/**
+ * Writes the tag filter to the URL.
+ * @function setTagFilter
+ * @param {Array<string>} list - Active tags
+ * @param {"and"|"or"} mode - How the tags combine
+ * @note Replaces the history entry and keeps the loaded route since `tags`
+ * and `tagMode` are view parameters, see VIEW_PARAMS
+ */
+function setTagFilter(list, mode) {
+  const unique = Array.from(new Set(list.map(normalizeTag).filter(Boolean)));
+  setViewParams({ tags: unique, tagMode: mode === "or" ? "or" : null });
+}
+
+/**
+ * Checks a tag list against the active filter.
+ * @function matchesTagFilter
+ * @param {Array<string>} list - Tags of an artist or an artwork
+ * @param {{tags: Array<string>, mode: string}} filter - Filter from getTagFilter()
+ * @returns {boolean} True if shown
+ */
+function matchesTagFilter(list, filter) {
+  if (!filter.tags.length) return true;
+  return filter.mode === "or"
+    ? filter.tags.some(tag => list.includes(tag))
+    : filter.tags.every(tag => list.includes(tag));
+}
+
+/**
+ * Lists the tags a gallery element is filtered on.
+ * @function getElementTags
+ * @param {HTMLElement} element - `.card` or `.preview`
+ * @returns {Array<string>} Artist tags for cards; for previews, the artwork
+ * tags plus the tags of its artist
+ */
+function getElementTags(element) {
+  if (element.classList.contains("card")) return getTags("artists", element.id);
+  const link = element.dataset.link;
+  const artist = link.split("/")[2];
+  return [...getTags("artworks", link), ...getTags("artists", artist)];
+}
+
+/**
+ * Shows or hides a gallery element according to the active filter.
+ * @function applyTagFilterTo
+ * @param {HTMLElement} element - `.card` or `.preview`
+ * @param {{tags: Array<string>, mode: string}} [filter] - Filter from getTagFilter()
+ */
+function applyTagFilterTo(element, filter = getTagFilter()) {
+  element.classList.toggle("tag-hidden", !matchesTagFilter(getElementTags(element), filter));
+}
+
+/**
+ * Applies the active filter to the gallery and refreshes the filter bar.
+ * @function applyTagFilter
+ * @note Previews waiting outside the gallery window are filtered when generated
+ */
+function applyTagFilter() {
+  const filter = getTagFilter();
+  document.querySelectorAll("#gallery .card, #gallery .preview").forEach(element => {
+    applyTagFilterTo(element, filter);
+  });
+  galleryWindow.pending.forEach(element => applyTagFilterTo(element, filter));
+  renderTagFilter(filter);
+}
+
+/**
+ * Builds the tag filter bar of the navigation and the shared autocomplete list.
+ * @function generateTagFilter
+ * @returns {HTMLElement} The filter bar
+ */
+function generateTagFilter() {
+  const datalist = document.createElement("datalist");
+  datalist.id = "tag-options";
+  updateTagOptions(datalist);
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = translate("tags.filterPlaceholder");
+  input.setAttribute("list", datalist.id);
+  input.setAttribute("aria-label", translate("tags.filterAdd"));
+  addKeyDown(input, tagFilterKeyDown);
+
+  const mode = document.createElement("button");
+  mode.type = "button";
+  mode.className = "tag-mode";
+  addClick(mode, toggleTagMode);
+
+  const chips = document.createElement("span");
+  chips.className = "tag-chips";
+
+  const bar = document.createElement("div");
+  bar.className = "tag-filter";
+  bar.setAttribute("role", "group");
+  bar.setAttribute("aria-label", translate("tags.filter"));
+  bar.append(input, mode, chips, datalist);
+  return bar;
+}
+
+/**
+ * Renders the active tags and the AND/OR mode of the filter bar.
+ * @function renderTagFilter
+ * @param {{tags: Array<string>, mode: string}} filter - Filter from getTagFilter()
+ */
+function renderTagFilter(filter) {
+  const bar = document.querySelector("nav .tag-filter");
+  const mode = bar.querySelector(".tag-mode");
+  mode.innerText = filter.mode.toUpperCase();
+  mode.hidden = filter.tags.length < 2;
+  mode.setAttribute("aria-label", translate(filter.mode === "and" ? "tags.modeAnd" : "tags.modeOr"));
+
+  const chips = bar.querySelector(".tag-chips");
+  chips.innerHTML = "";
+  filter.tags.forEach(tag => {
+    chips.appendChild(
+      createTagChip(tag, () => setTagFilter(filter.tags.filter(item => item !== tag), filter.mode))
+    );
+  });
+}
+
+/**
+ * Creates a removable tag chip.
+ * @function createTagChip
+ * @param {string} tag - Tag name
+ * @param {Function} onRemove - Called when the chip is removed
+ * @returns {HTMLElement} The chip
+ */
+function createTagChip(tag, onRemove) {
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.innerText = "×";
+  remove.setAttribute("aria-label", translate("tags.remove", { tag }));
+  addClick(remove, event => {
+    event.stopPropagation();
+    onRemove();
+  });
+
+  const chip = document.createElement("span");
+  chip.className = "tag-chip";
+  chip.innerText = tag;
+  chip.appendChild(remove);
+  return chip;
+}
+
+/**
+ * Adds the typed tag to the filter on Enter.
+ * @function tagFilterKeyDown
+ * @param {KeyboardEvent} event - Keydown on the filter input
+ */
+function tagFilterKeyDown(event) {
+  if (event.key !== "Enter") return;
+  const tag = normalizeTag(event.currentTarget.value);
+  event.currentTarget.value = "";
+  if (!tag) return;
+  const filter = getTagFilter();
+  setTagFilter([...filter.tags, tag], filter.mode);
+}
+
+/**
+ * Switches the filter between AND and OR.
+ * @function toggleTagMode
+ */
+function toggleTagMode() {
+  const filter = getTagFilter();
+  setTagFilter(filter.tags, filter.mode === "and" ? "or" : "and");
+}
+
+/**
+ * Creates the tag button of an artist or an artwork.
+ * @function createTagButton
+ * @param {"artists"|"artworks"} kind - Tag owner type
+ * @param {string} key - Artist name or artwork link
+ * @returns {HTMLButtonElement} The button opening the tag editor
+ */
+function createTagButton(kind, key) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "tag-toggle";
+  btn.dataset.kind = kind;
+  btn.dataset.key = key;
+  addClick(btn, openTagEditor);
+  updateTagButton(btn);
+  return btn;
+}
+
+/**
+ * Reflects the tags of an item on its tag button.
+ * @function updateTagButton
+ * @param {HTMLButtonElement} btn - Button from createTagButton()
+ */
+function updateTagButton(btn) {
+  const list = getTags(btn.dataset.kind, btn.dataset.key);
+  btn.innerText = list.length ? `# ${list.length}` : "#";
+  btn.title = list.join(", ");
+  btn.classList.toggle("active", list.length > 0);
+  btn.setAttribute(
+    "aria-label",
+    list.length ? translate("tags.edit", { tags: list.join(", ") }) : translate("tags.add")
+  );
+}
+
+/**
+ * Opens the tag editor of a card or preview.
+ * @function openTagEditor
+ * @param {MouseEvent} event - Click on a tag button
+ */
+function openTagEditor(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  closeTagEditor();
+  tagEditorTarget = event.currentTarget;
+
+  const { kind, key } = tagEditorTarget.dataset;
+  const title = document.createElement("strong");
+  title.innerText = kind === "artists" ? ucFirst(key) : key.split("/").pop();
+
+  const chips = document.createElement("div");
+  chips.className = "tag-chips";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = translate("tags.placeholder");
+  input.setAttribute("list", "tag-options");
+  input.setAttribute("aria-label", translate("tags.new"));
+  addKeyDown(input, tagEditorKeyDown);
+
+  const editor = document.createElement("div");
+  editor.id = "tagEditor";
+  editor.setAttribute("role", "dialog");
+  editor.setAttribute("aria-label", translate("tags.editor", { name: title.innerText }));
+  editor.append(title, chips, input);
+  addClick(editor, event => event.stopPropagation());
+
+  // Anchored under the button, inside the tile so it scrolls with it
+  tagEditorTarget.parentElement.appendChild(editor);
+  renderTagEditor();
+  addClick(document, closeTagEditor);
+  input.focus();
+}
+
+/**
+ * Renders the tag chips of the edited item.
+ * @function renderTagEditor
+ */
+function renderTagEditor() {
+  const { kind, key } = tagEditorTarget.dataset;
+  const chips = document.querySelector("#tagEditor .tag-chips");
+  chips.innerHTML = "";
+  getTags(kind, key).forEach(tag => {
+    chips.appendChild(
+      createTagChip(tag, () => {
+        setTags(kind, key, getTags(kind, key).filter(item => item !== tag));
+        renderTagEditor();
+      })
+    );
+  });
+}
+
+/**
+ * Handles the keyboard of the tag editor input.
+ * @function tagEditorKeyDown
+ * @param {KeyboardEvent} event - Keydown on the editor input
+ * @description Enter or comma adds the tag, Escape closes the editor
+ */
+function tagEditorKeyDown(event) {
+  event.stopPropagation();
+  if (event.key === "Escape") {
+    const btn = tagEditorTarget;
+    closeTagEditor();
+    btn.focus();
+  } else if (event.key === "Enter" || event.key === ",") {
+    event.preventDefault();
+    const { kind, key } = tagEditorTarget.dataset;
+    setTags(kind, key, [...getTags(kind, key), event.currentTarget.value]);
+    event.currentTarget.value = "";
+    renderTagEditor();
+  }
+}
+
+/**
+ * Closes the tag editor.
+ * @function closeTagEditor
+ */
+function closeTagEditor() {
+  const editor = document.querySelector("#tagEditor");
+  if (editor) editor.remove();
+  tagEditorTarget = null;
+  document.removeEventListener("click", closeTagEditor);
+}
@@ -0,0 +1,138 @@
+/**
+ * theme.js - Color themes shared by the explorer and the dashboard
+ * Light, dark and high-contrast variants, following the system preference
+ * until a theme is picked
+ */
+
+// Theme choices with the message keys of their labels, "auto" follows the system preference
+const THEMES = {
+  auto: "theme.auto",
+  light: "theme.light",
+  dark: "theme.dark",
+  contrast: "theme.contrast",
+};
+// Browser UI color of each theme, matching --ce-primary-background-color
+const THEME_COLORS = {
+  light: "#f4f6fb",
+  dark: "#000025",
+  contrast: "#000000",
+};
+// localStorage key holding the theme choice, read by both pages
+const THEME_KEY = "comex.theme";
+
+// System preferences followed by the "auto" choice
+const darkSchemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+const moreContrastQuery = window.matchMedia("(prefers-contrast: more)");
+
+/**
+ * Returns the theme choice of this device.
+ * @function getThemeChoice
+ * @returns {string} Key of THEMES, "auto" when nothing valid is stored
+ */
+function getThemeChoice() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(THEME_KEY);
+  } catch (err) {
+    console.error("Failed to read theme:", err.message);
+  }
+  return stored in THEMES ? stored : "auto";
+}
+
+/**
+ * Resolves a theme choice to the theme shown.
+ * @function resolveTheme
+ * @param {string} choice - Key of THEMES
+ * @returns {"light"|"dark"|"contrast"} Key of THEME_COLORS
+ * @example
+ * // System set to a light color scheme
+ * resolveTheme("auto"); // Returns "light"
+ */
+function resolveTheme(choice) {
+  if (choice !== "auto") return choice;
+  if (moreContrastQuery.matches) return "contrast";
+  return darkSchemeQuery.matches ? "dark" : "light";
+}
+
+/**
+ * Shows the theme of the current choice.
+ * @function applyTheme
+ * @description Sets `data-theme` on the root element, read by the stylesheets,
+ * updates the `theme-color` meta tag and syncs every theme select of the page.
+ */
+function applyTheme() {
+  const choice = getThemeChoice();
+  const theme = resolveTheme(choice);
+  document.documentElement.dataset.theme = theme;
+
+  let meta = document.querySelector('meta[name="theme-color"]');
+  if (!meta) {
+    meta = document.createElement("meta");
+    meta.name = "theme-color";
+    document.head.appendChild(meta);
+  }
+  meta.content = THEME_COLORS[theme];
+
+  document.querySelectorAll(".theme-select select").forEach(select => (select.value = choice));
+}
+
+/**
+ * Persists a theme choice and shows it.
+ * @function setTheme
+ * @param {string} choice - Key of THEMES
+ */
+function setTheme(choice) {
+  try {
+    if (choice === "auto") {
+      localStorage.removeItem(THEME_KEY);
+    } else {
+      localStorage.setItem(THEME_KEY, choice);
+    }
+  } catch (err) {
+    console.error("Failed to persist theme:", err.message);
+  }
+  applyTheme();
+}
+
+/**
+ * Starts the theme handling.
+ * @function initTheme
+ * @description Shows the current theme, then follows changes of the system
+ * preference and choices made on another page of the app.
+ */
+function initTheme() {
+  applyTheme();
+  darkSchemeQuery.addEventListener("change", applyTheme);
+  moreContrastQuery.addEventListener("change", applyTheme);
+  window.addEventListener("storage", event => {
+    if (event.key === THEME_KEY || event.key === null) applyTheme();
+  });
+}
+
+/**
+ * Builds a theme select.
+ * @function generateThemeSelect
+ * @returns {HTMLElement} Labelled select listing THEMES
+ * @note Used by the navigation of index.html and the toolbar of dashboard.html
+ */
+function generateThemeSelect() {
+  const select = document.createElement("select");
+  select.id = "themeSelect";
+  Object.entries(THEMES).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.innerText = translate(label);
+    select.appendChild(option);
+  });
+  select.value = getThemeChoice();
+  select.addEventListener("change", () => setTheme(select.value));
+
+  const label = document.createElement("label");
+  label.htmlFor = select.id;
+  label.innerText = translate("theme.label");
+
+  const container = document.createElement("div");
+  container.className = "theme-select";
+  container.append(label, select);
+  return container;
+}
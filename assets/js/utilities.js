@@ -1,3 +1,13 @@
+// Artworks sent to thumbnail.php per request
+const THUMBNAIL_BATCH_SIZE = 4;
+// Requests to thumbnail.php running at the same time
+const THUMBNAIL_CONCURRENCY = 3;
+// Load session of the current route, see startLoadSession()
+let loadSession = null;
+
+// Text artwork contents by relative path, see fetchTextFile()
+const textFiles = new Map();
+
 /**
  * Reloads the current page using browser's location API.
  * @function reloadPage
@@ -24,45 +34,38 @@ function ucFirst(string) {
 }
 
 /**
- * Dynamically sets document title based on URL parameters.
+ * Sets document title and description from the current route.
  * @function setPageTitle
- * @description Uses "artist" query parameter if present (capitalized via ucFirst()),
- * defaults to "Welcome | Commission Xplorer" when no artist parameter exists.
+ * @description Uses the `title` and `description` of the route table entry,
+ * e.g. the artist name (capitalized via ucFirst()) on artist pages.
  * @example
  * // URL: https://example.com/?artist=picasso
  * // Sets title to "Picasso | Commission Xplorer"
+ * @see ROUTES
  */
 function setPageTitle() {
-  const searchParams = new URLSearchParams(window.location.search);
-  const artist = searchParams.get("artist");
-  document.title = artist ? `${ucFirst(artist)} | Commission Xplorer` : "Welcome | Commission Xplorer";
-  document.querySelector("meta[name='description']").content = artist 
-    ? `Commissions by ${artist}` 
-    : `Explore and manage commissions effortlessly with Commission Xplorer.`;
-}
-
-/**
- * Determines if current page is the welcome page.
- * @function isWelcomePage
- * @returns {boolean} True if document title matches welcome page title
- * @example
- * // When title is "Welcome | Commission Xplorer"
- * isWelcomePage();  // Returns true
- */
-function isWelcomePage() {
-  return document.title === "Welcome | Commission Xplorer";
+  const route = getRoute();
+  document.title = `${route.title(route.params)} | Commission Xplorer`;
+  document.querySelector("meta[name='description']").content = route.description(route.params);
 }
 
 /**
- * Sets NSFW (Not Safe For Work) flag based on URL parameters.
+ * Sets NSFW (Not Safe For Work) flag from the current route.
  * @function setIsNsfw
- * @description Checks both welcome page status and "isNsfw" query parameter.
- * Modifies global `isNsfw` variable.
- * @note Requires `isWelcomePage()` to be true for NSFW flag activation
+ * @description Modifies global `isNsfw` variable:
+ * - welcome route: the `isNsfw` route parameter, else the filter shown last on this device
+ * - artist routes: whether the artist belongs to the NSFW list, true when
+ *   the list is unavailable and the artist is not known to be SFW
+ * - favorites route: false, it mixes both lists
+ * @note Artist routes are updated again once the NSFW list is loaded, see loadArtworks()
  */
 function setIsNsfw() {
-  const searchParams = new URLSearchParams(window.location.search);
-  isNsfw = isWelcomePage() && searchParams.get("isNsfw") === "true";
+  const route = getRoute();
+  if (route.name === "welcome") {
+    isNsfw = route.params.isNsfw === null ? getNsfwPreference() : route.params.isNsfw;
+  } else {
+    isNsfw = route.params.artist !== null && isNsfwArtist(route.params.artist);
+  }
 }
 
 /**
@@ -89,12 +92,12 @@ function emptySuggestions() {
  * @description Supports:
  * - ArrowDown: Select next item
  * - ArrowUp: Select previous item
- * - Enter: Activate current selection
+ * - Enter: Activate current selection (artist card or artwork result)
  * @note Prevents default behavior for arrow keys to avoid page scrolling
  */
 function navigateSuggestions(event) {
   const suggestionsList = document.getElementById("suggestions");
-  const items = suggestionsList.querySelectorAll("li");
+  const items = suggestionsList.querySelectorAll("li:not(.heading)");
   if (!items.length) return false;
 
   const currentSelected = suggestionsList.querySelector(".selected");
@@ -110,7 +113,11 @@ function navigateSuggestions(event) {
       index = (index - 1 + items.length) % items.length;
       break;
     case "Enter":
-      if (currentSelected) accessSuggestion(currentSelected.innerText);
+      if (currentSelected && currentSelected.dataset.artwork) {
+        goToArtwork(currentSelected.dataset.artist, currentSelected.dataset.artwork);
+      } else if (currentSelected) {
+        accessSuggestion(currentSelected.innerText);
+      }
       return true;
     default:
       return false;
@@ -135,6 +142,17 @@ function transmitClick(event) {
   accessSuggestion(event.currentTarget.innerText);
 }
 
+/**
+ * Handles click events on artwork results.
+ * @function transmitArtworkClick
+ * @param {MouseEvent} event - The mouse event from the artwork result
+ * @see goToArtwork
+ */
+function transmitArtworkClick(event) {
+  const { artist, artwork } = event.currentTarget.dataset;
+  goToArtwork(artist, artwork);
+}
+
 /**
  * Processes artist suggestion selection and resets search interface.
  * @function accessSuggestion
@@ -155,70 +173,158 @@ function accessSuggestion(artistName) {
 // *** Content Loading Functions ***
 
 /**
- * Controls initial page content setup based on current page state.
+ * Renders the current route.
  * @function loadContent
  * @description Orchestrates page layout by:
- * - Resetting gallery container
+ * - Updating the page title and NSFW flag
+ * - Closing the lightbox
+ * - Starting a new load session, which aborts the previous route loads
+ * - Resetting gallery container and its preview window
  * - Adjusting page margins
  * - Managing return button visibility
- * - Routing to appropriate content loader (artists/artworks)
+ * - Search input initialization
+ * - Calling the loader of the route (artists/artworks/favorites)
  * - Always showing navigation bar
- * @see loadArtists
- * @see loadArtworks
+ * @note Always reloads the route, see renderRoute() for navigations
+ * @see ROUTES
  */
 function loadContent() {
-  const gallery = document.querySelector("#gallery");
-  const isWelcome = isWelcomePage();
-  gallery.innerHTML = isWelcome ? "<span class='push'></span>" : "";
-  gallery.style.marginTop = isWelcome ? "" : "unset";
-  showReturnButton(!isWelcome);
+  const route = getRoute();
+  setPageTitle();
+  setIsNsfw();
 
-  if (isWelcome) {
-    loadArtists();
-  } else {
-    loadArtworks();
-  }
+  closeLightbox();
+  closeTagEditor();
+  closeAgeGate(false);
+  const session = startLoadSession();
+  const gallery = document.querySelector("#gallery");
+  // The favorites route shares the welcome page layout and filters
+  gallery.innerHTML = route.home ? "<span class='push'></span>" : "";
+  gallery.style.marginTop = route.home ? "" : "unset";
+  resetGalleryWindow(route.home);
+  addScroll(gallery, saveWelcomeScroll);
+  showReturnButton(!route.home);
+  addInput(document.querySelector("#search"), showSuggestions);
+
+  route.load(session);
   showNavBar();
+  applyViewParams();
+}
+
+/**
+ * Applies the VIEW_PARAMS of the URL to the loaded route.
+ * @function applyViewParams
+ * @see applyTagFilter
+ * @see sortArtistCards
+ */
+function applyViewParams() {
+  applyTagFilter();
+  sortArtistCards();
+}
+
+/**
+ * Starts the load session of a new route.
+ * @function startLoadSession
+ * @returns {{id: number, signal: AbortSignal, controller: AbortController}} The new current session
+ * @description Aborts every request of the superseded session and resets the
+ * spinner, which from now on only reflects the new route.
+ */
+function startLoadSession() {
+  if (loadSession) loadSession.controller.abort();
+
+  const controller = new AbortController();
+  loadSession = {
+    id: loadSession ? loadSession.id + 1 : 1,
+    signal: controller.signal,
+    controller,
+  };
+
+  document.querySelector("#spinner").classList.remove("loading");
+  document.querySelector("#spinnerNumber").textContent = "";
+  document.querySelector("#progressMore").textContent = "";
+  return loadSession;
+}
+
+/**
+ * Checks that a load session still owns the page.
+ * @function isCurrentSession
+ * @param {object} session - Session returned by startLoadSession()
+ * @returns {boolean} False once a newer navigation started
+ * @note Results of a superseded session must be dropped, not rendered
+ */
+function isCurrentSession(session) {
+  return session === loadSession && !session.signal.aborted;
+}
+
+/**
+ * Shows or hides the spinner for a load session.
+ * @function setLoading
+ * @param {object} session - Session owning the spinner update
+ * @param {boolean} loading - Spinner visibility
+ * @note Ignored for superseded sessions
+ */
+function setLoading(session, loading) {
+  if (!isCurrentSession(session)) return;
+  document.querySelector("#spinner").classList.toggle("loading", loading);
 }
 
 /**
  * Loads and displays artist cards from server with progress tracking.
  * @function loadArtists
+ * @param {object} session - Load session of the welcome route
  * @description Implements:
- * - NSFW flag initialization
+ * - NSFW flag initialization, behind the age gate for the NSFW list
  * - Loading spinner activation
  * - Batch artist card generation
  * - Progress counter updates
  * - Error handling and cleanup
- * - Search input initialization
- * @note Uses global `host` variable for API endpoint
+ * - Scroll position and pending search restoration
+ * @note Uses fetchList(): cached artists show at once and the page reloads
+ * when the revalidated list differs
  * @warning Modifies DOM extensively through card generation
  */
-function loadArtists() {
+function loadArtists(session) {
   setIsNsfw();
-  const spinner = document.querySelector("#spinner");
-  spinner.classList.add("loading");
-
-  document.querySelector("#spinnerNumber").innerText = "";
-
-  fetch(`${host}api/artists.php?isNsfw=${isNsfw}`)
-    .then(res => res.json())
+  setLoading(session, true);
+
+  confirmNsfw(isNsfw)
+    .then(confirmed => {
+      if (!confirmed) {
+        // Declined or dropped age gate: back to the SFW artists
+        if (isCurrentSession(session)) navigate("welcome", { isNsfw: false }, { replace: true });
+        return {};
+      }
+      setNsfwPreference(isNsfw);
+      return fetchList(`artists.php?isNsfw=${isNsfw}`, { signal: session.signal }, () => {
+        if (isCurrentSession(session)) loadContent();
+      });
+    })
     .then(artists => {
+      if (!isCurrentSession(session)) return;
       const spinnerNumber = document.querySelector("#spinnerNumber");
       const artistKeys = Object.keys(artists);
+      if (isNsfw) {
+        addNsfwArtists(artistKeys);
+      } else {
+        addSfwArtists(artistKeys);
+      }
       spinnerNumber.innerText = `0 / ${artistKeys.length}`;
 
       artistKeys.forEach((artistName, idx) => {
         spinnerNumber.innerText = `${idx + 1} / ${artistKeys.length}`;
         const card = generateCard(artistName, artists[artistName]);
-        addClick(card, goToArtist);
+        addClick(card, followRoute);
       });
+      sortArtistCards();
+    })
+    .catch(err => {
+      if (err.name !== "AbortError") console.error("Failed to update artist list:", err.message);
     })
-    .catch(err => console.error("Failed to update artist list:", err.message))
     .finally(() => {
-      spinner.classList.remove("loading");
+      if (!isCurrentSession(session)) return;
+      setLoading(session, false);
       document.querySelector("#spinnerNumber").innerText = "";
-      addInput(document.querySelector("#search"), showSuggestions);
+      restoreWelcomeScroll();
 
       if (document.querySelector("#search").value) {
         setTimeout(showUniqueSuggestion, 500);
@@ -230,32 +336,56 @@ function loadArtists() {
  * Loads artwork data for specific artist with thumbnail processing.
  * @function loadArtworks
  * @async
+ * @param {object} session - Load session of the artist route
  * @description Handles:
- * - Artist parameter extraction from URL
+ * - Artist parameter extraction from the route
  * - Artwork data fetching via POST
  * - Path processing for artwork files
  * - Progress tracking visualization
  * - Thumbnail population with delay
  * @note Uses 250ms delay before thumbnail display for UI smoothness
+ * @note Uses fetchList(): cached artworks show without a connection and the
+ * page reloads when the revalidated list differs
  */
-async function loadArtworks() {
-  const searchParams = new URLSearchParams(window.location.search);
-  const artist = searchParams.get("artist");
+async function loadArtworks(session) {
+  const { artist } = getRoute().params;
+  markNewSeen([artist]);
+
+  // The artist page follows the list it belongs to
+  await loadNsfwArtists();
+  if (!isCurrentSession(session)) return;
+  setIsNsfw();
+  if (!(await confirmNsfw(isNsfw))) {
+    if (isCurrentSession(session)) navigate("welcome", { isNsfw: false }, { replace: true });
+    return;
+  }
 
   try {
-    const response = await fetch(`${host}api/artworks.php`, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: new URLSearchParams({ artist }),
-    });
-    const artworks = await response.json();
+    const artworks = await fetchList(
+      "artworks.php",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ artist }),
+        signal: session.signal,
+      },
+      () => {
+        if (isCurrentSession(session)) loadContent();
+      }
+    );
     const processedArtworks = artworks.map(artwork => artwork.split("/").slice(1).join("/"));
-    await progress("thumbnails", artist);
-    setTimeout(() => setThumbnails(artist, processedArtworks), 250);
+    const folder = getFolderPath();
+    const { folders, files } = listFolder(processedArtworks, artist, folder);
+    generateBreadcrumbs(artist, folder);
+    folders.forEach(({ path, count }) => generateFolder(artist, path, count));
+    await progress("thumbnails", artist, session);
+    setTimeout(() => {
+      if (isCurrentSession(session)) setThumbnails(artist, files, session);
+    }, 250);
   } catch (err) {
-    console.error("Failed to update artworks list:", err.message);
+    if (err.name !== "AbortError") console.error("Failed to update artworks list:", err.message);
   } finally {
-    document.querySelector("#spinnerNumber").innerHTML = "";
+    if (isCurrentSession(session)) document.querySelector("#spinnerNumber").innerHTML = "";
   }
 }
 
@@ -265,33 +395,33 @@ async function loadArtworks() {
  * @async
  * @param {string} action - The operation type being tracked (e.g., 'thumbnails')
  * @param {string} artist - Target artist for progress tracking
+ * @param {object} session - Load session the progress belongs to
  * @description Provides:
  * - Visual loading indicators
  * - Percentage progress updates
  * - Activity monitoring dots for stalled progress
  * - Server communication for progress data
  * @example
- * await progress("processing", "van-gogh");
+ * await progress("processing", "van-gogh", session);
  */
-async function progress(action, artist) {
-  const spinner = document.querySelector("#spinner");
+async function progress(action, artist, session) {
   const spinnerNumber = document.querySelector("#spinnerNumber");
   const progressMore = document.querySelector("#progressMore");
 
-  if (!spinner.classList.contains("loading")) {
-    spinner.classList.add("loading");
-  }
+  setLoading(session, true);
 
   try {
-    const response = await fetch(`${host}api/progress.php`, {
+    const response = await apiFetch("progress.php", {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body: new URLSearchParams({ action, artist }),
+      signal: session.signal,
     });
 
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const progressValue = await response.json();
+    if (!isCurrentSession(session)) return;
     const percentage = Math.round(progressValue * 10000) / 100;
     const currentPercentage = parseFloat(spinnerNumber.textContent);
 
@@ -304,8 +434,9 @@ async function progress(action, artist) {
 
     console.debug(`${artist}: ${percentage}%`);
   } catch (err) {
+    if (err.name === "AbortError") return;
     console.error("Progress update failed:", err.message);
-    spinner.classList.remove("loading");
+    setLoading(session, false);
   }
 }
 
@@ -315,69 +446,254 @@ async function progress(action, artist) {
  * @function setThumbnails
  * @param {string} artist - Artist name for thumbnail processing
  * @param {Array<string>} artworks - Array of artwork file paths
+ * @param {object} session - Load session of the artist route, aborts pending requests on navigation
  * @description Handles:
- * - Progress indicator initialization
- * - Batch thumbnail processing via API
+ * - Immediate previews for files without thumbnail
+ * - Batched thumbnail requests, THUMBNAIL_CONCURRENCY at a time
+ * - Preview generation as soon as each batch is ready
+ * - Reveal of the artwork requested by the `artwork` URL parameter, opened in the lightbox
  * - Progress percentage updates
- * - Final preview generation
  * - Error handling and cleanup
+ * @note A failed batch is still previewed, its tiles fall back on broken thumbnails
+ * like before rather than being dropped
  * @example
- * await setThumbnails('vangogh', ['/paintings/starry-night.jpg']);
+ * await setThumbnails('vangogh', ['commissions/vangogh/starry-night.jpg'], session);
  */
-async function setThumbnails(artist, artworks) {
-  const spinner = document.querySelector("#spinner");
+async function setThumbnails(artist, artworks, session) {
   const spinnerNumber = document.querySelector("#spinnerNumber");
+  const entries = artworks.map((artwork, position) => ({ artwork, position }));
+  const pending = entries.filter(({ artwork }) => getFileType(artwork).thumbnail);
+  const requested = getRoute().params.artwork;
+  let done = 0;
+
+  // Generates a preview, revealing and opening it when it is the requested artwork
+  const showPreview = ({ artwork, position }) => {
+    const preview = generatePreview(`../${artwork}`, position);
+    if (requested !== null && getArtworkPath(artwork, artist) === requested) {
+      revealPreview(preview);
+      openLightbox(preview);
+    }
+  };
 
   spinnerNumber.textContent = "0%";
-  spinner.classList.add("loading");
+  setLoading(session, true);
   console.debug(`${artist}: 0% - Start`);
 
+  // Files without thumbnail do not wait for the pipeline
+  entries
+    .filter(({ artwork }) => !getFileType(artwork).thumbnail)
+    .forEach(showPreview);
+
+  const batches = [];
+  for (let i = 0; i < pending.length; i += THUMBNAIL_BATCH_SIZE) {
+    batches.push(pending.slice(i, i + THUMBNAIL_BATCH_SIZE));
+  }
+
   try {
-    for (const artwork of artworks) {
-      const response = await fetch(`${host}api/thumbnail.php`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ artworks: [artwork] }),
-      });
+    await runConcurrently(batches, THUMBNAIL_CONCURRENCY, session.signal, async batch => {
+      try {
+        const response = await apiFetch("thumbnail.php", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ artworks: batch.map(({ artwork }) => artwork) }),
+          signal: session.signal,
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        console.error("Thumbnail batch failed:", error.message);
+      }
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      await progress("thumbnails", artist);
-    }
+      if (!isCurrentSession(session)) return;
+      batch.forEach(showPreview);
+      done += batch.length;
+      spinnerNumber.textContent = `${Math.round((done / pending.length) * 10000) / 100}%`;
+    });
 
-    artworks.forEach(artwork => generatePreview(`../${artwork}`));
     console.debug(`${artist}: 100% - End`);
     spinnerNumber.textContent = "100%";
   } catch (error) {
+    if (error.name === "AbortError") {
+      console.debug(`${artist}: aborted`);
+      return;
+    }
     console.error("Gallery load failed:", error.message);
-  } finally {
-    artworks.forEach(artwork => generatePreview(`../${artwork}`));
-    spinner.classList.remove("loading");
   }
+  setLoading(session, false);
+}
+
+/**
+ * Runs an async worker over a list with bounded concurrency.
+ * @async
+ * @function runConcurrently
+ * @param {Array} items - Items to process, in order
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {AbortSignal} [signal] - Stops handing out items once aborted
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>} Resolves when every item is processed
+ * @throws {DOMException} AbortError when the signal is aborted
+ * @note The first worker failure rejects the whole run
+ */
+async function runConcurrently(items, limit, signal, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      if (signal && signal.aborted) throw new DOMException("Aborted", "AbortError");
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+  if (signal && signal.aborted) throw new DOMException("Aborted", "AbortError");
+}
+
+/**
+ * Gets the path of an artwork inside its artist folder.
+ * @function getArtworkPath
+ * @param {string} path - Artwork path as returned by artworks.php
+ * @param {string} artist - Artist owning the artwork
+ * @returns {string} Path after the artist folder, used by the `artwork` URL parameter
+ * @example
+ * getArtworkPath("../commissions/vangogh/sketches/cafe.jpg", "vangogh"); // Returns "sketches/cafe.jpg"
+ */
+function getArtworkPath(path, artist) {
+  const segments = path.split("/");
+  return segments.slice(segments.indexOf(artist) + 1).join("/");
 }
 
 /**
- * Checks for newly added artists via API.
+ * Builds the shareable URL of an artwork.
+ * @function getArtworkUrl
+ * @param {string} link - Relative path of the artwork (../commissions/artist/...)
+ * @returns {string} Absolute URL of the artwork route, without the
+ * configuration parameters of the current page
+ * @example
+ * getArtworkUrl("../commissions/vangogh/sketches/cafe.jpg");
+ * // Returns "https://example.com/?artist=vangogh&artwork=sketches%2Fcafe.jpg"
+ */
+function getArtworkUrl(link) {
+  const artist = link.split("/")[2];
+  const artwork = getArtworkPath(link, artist);
+  return `${document.location.origin}${getRouteUrl("artwork", { artist, artwork }, { share: true })}`;
+}
+
+/**
+ * Copies the shareable URL of an artwork to the clipboard.
+ * @function copyArtworkLink
+ * @async
+ * @param {string} link - Relative path of the artwork (../commissions/artist/...)
+ * @returns {Promise<boolean>} True once copied, false if the clipboard is unavailable
+ * @see getArtworkUrl
+ */
+async function copyArtworkLink(link) {
+  try {
+    await navigator.clipboard.writeText(getArtworkUrl(link));
+    return true;
+  } catch (err) {
+    console.error("Failed to copy artwork link:", err.message);
+    return false;
+  }
+}
+
+/**
+ * Gets the folder of the artist gallery to show.
+ * @function getFolderPath
+ * @returns {string} The `path` route parameter; when missing, the folder of
+ * the `artwork` parameter; "" for the artist folder
+ * @example
+ * // URL: ?artist=vangogh&path=sketches/2024/
+ * getFolderPath(); // Returns "sketches/2024"
+ */
+function getFolderPath() {
+  const { path, artwork } = getRoute().params;
+  return path || parseRouteParam("path", (artwork || "").split("/").slice(0, -1).join("/"));
+}
+
+/**
+ * Splits the artworks of an artist into the content of one folder.
+ * @function listFolder
+ * @param {Array<string>} artworks - Artwork paths (commissions/artist/...)
+ * @param {string} artist - Artist owning the artworks
+ * @param {string} folder - Folder path inside the artist folder, "" for the root
+ * @returns {{folders: Array<{path: string, count: number}>, files: Array<string>}}
+ * Direct subfolders with the number of files they hold, sorted by name, and
+ * the files of the folder itself in their original order
+ * @example
+ * listFolder(["commissions/vangogh/a.jpg", "commissions/vangogh/sketches/b.jpg"], "vangogh", "");
+ * // Returns { folders: [{ path: "sketches", count: 1 }], files: ["commissions/vangogh/a.jpg"] }
+ */
+function listFolder(artworks, artist, folder) {
+  const prefix = folder ? `${folder}/` : "";
+  const counts = new Map();
+  const files = [];
+
+  artworks.forEach(artwork => {
+    const path = getArtworkPath(artwork, artist);
+    if (!path.startsWith(prefix)) return;
+    const rest = path.slice(prefix.length).split("/");
+    if (rest.length === 1) {
+      files.push(artwork);
+    } else {
+      counts.set(rest[0], (counts.get(rest[0]) || 0) + 1);
+    }
+  });
+
+  const folders = Array.from(counts, ([name, count]) => ({ path: prefix + name, count }))
+    .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: "base" }));
+  return { folders, files };
+}
+
+/**
+ * Scrolls to a preview and makes it flash.
+ * @function revealPreview
+ * @param {HTMLElement} preview - The `.preview` element to reveal
+ * @note Mounts the previews up to this one if it is outside the gallery window
+ */
+function revealPreview(preview) {
+  if (!preview.isConnected) extendGalleryWindow(Number(preview.dataset.position) + 1);
+  preview.classList.add("searched");
+  setTimeout(() => preview.scrollIntoView({ behavior: "smooth", block: "center" }), 10);
+}
+
+/**
+ * Fetches the content of a text artwork, once per page load.
+ * @function fetchTextFile
+ * @param {string} link - Relative path of the file (../commissions/...)
+ * @returns {Promise<string>} The file content
+ * @description Results are cached so the preview excerpt and the lightbox
+ * reader share a single request. Failed requests are evicted from the cache.
+ */
+function fetchTextFile(link) {
+  if (!textFiles.has(link)) {
+    const request = fetch(link.replace("../", host)).then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    });
+    request.catch(() => textFiles.delete(link));
+    textFiles.set(link, request);
+  }
+  return textFiles.get(link);
+}
+
+/**
+ * Checks for newly added commissions via API.
  * @function checkNew
  * @description Performs:
- * - Loading indicator activation
- * - New artist detection
- * - Console logging of results
+ * - New commission detection
+ * - "What's new" badge, panel and card ribbons update
  * - Silent failure on errors
- * @note Does not update UI - only logs results to console
+ * @note Runs outside the route load sessions, so it leaves the spinner alone.
+ * @see setNewCommissions
  */
 function checkNew() {
-  const spinner = document.querySelector("#spinner");
-  spinner.classList.add("loading");
-
-  fetch(`${host}api/new.php`)
+  apiFetch("new.php")
     .then(res => res.json())
-    .then(artists => {
-      if (artists.length > 0) console.debug(artists);
+    .then(entries => {
+      setNewCommissions(entries);
+      // An artist page opened before the answer counts as viewed
+      const { artist } = getRoute().params;
+      if (artist !== null) markNewSeen([artist]);
     })
-    .catch(err => console.log("Failed to check new artists:", err.message))
-    .finally(() => {
-      spinner.classList.remove("loading");
-    });
+    .catch(err => console.log("Failed to check new commissions:", err.message));
 }
 
 // *** UI Visibility Controllers ***
@@ -392,8 +708,9 @@ function checkNew() {
  * @warning Modifies DOM event listeners - ensure proper cleanup
  */
 function reloadFiltersButtons(root) {
-  root.querySelector(`input[type='radio'][value='${isNsfw}']`).defaultChecked = true;
-  root.querySelectorAll("span > label").forEach(btn => addClick(btn, changeFilter));
+  const value = isRoute("favorites") ? "favorites" : isNsfw;
+  root.querySelector(`input[type='radio'][value='${value}']`).checked = true;
+  root.querySelectorAll("span > label").forEach(btn => addClick(btn, followFilter));
 }
 
 /**
@@ -403,30 +720,34 @@ function reloadFiltersButtons(root) {
  * @description Manages:
  * - Hidden attribute state
  * - Click handler attachment/removal
- * - Navigation behavior through returnIndex()
+ * - Navigation behavior through followReturn()
  */
 function showReturnButton(showReturnButton) {
   const returnBtn = document.getElementById("returnBtn");
   if (showReturnButton) {
     returnBtn.removeAttribute("hidden");
-    addClick(returnBtn, returnIndex);
+    addClick(returnBtn, followReturn);
   } else {
     returnBtn.setAttribute("hidden", "hidden");
   }
 }
 
 /**
- * Toggles navigation bar visibility based on page state.
+ * Toggles navigation bar content based on page state.
  * @function showNavBar
- * @description Uses isWelcomePage() check to determine visibility
- * @see isWelcomePage
+ * @description The search bar stays available on artist pages for the
+ * artwork search, the content filters only make sense on the welcome page.
+ * @see ROUTES
  */
 function showNavBar() {
-  const nav = document.querySelector("nav");
-  if (isWelcomePage()) {
-    nav.removeAttribute("hidden");
+  const route = getRoute();
+  const filters = document.querySelector("nav .content-filters");
+  document.querySelector("nav .artist-sort").hidden = route.name !== "welcome";
+  reloadFiltersButtons(filters);
+  if (route.home) {
+    filters.removeAttribute("hidden");
   } else {
-    nav.setAttribute("hidden", "hidden");
+    filters.setAttribute("hidden", "hidden");
   }
 }
 
@@ -435,9 +756,11 @@ function showNavBar() {
  * @function showSuggestions
  * @param {Event} event - Input event from search field
  * @description Implements:
- * - Search term normalization
+ * - Fuzzy matching of artist names (see fuzzyMatch())
  * - Card visibility filtering
- * - Suggestion list population
+ * - Suggestion list population, best matches first
+ * - Artwork results from every artist (see showArtworkResults())
+ * - Highlighting of the matched characters
  * - Result count display
  * - Keyboard navigation setup
  * @note Clears previous suggestions with emptySuggestions()
@@ -447,35 +770,101 @@ function showSuggestions(event) {
   const forceUnique = false;
 
   emptySuggestions();
-  const search = event.currentTarget.value.toLowerCase();
+  const search = event.currentTarget.value.trim();
   const cards = document.querySelectorAll(".card");
+  const suggestions = document.querySelector("#suggestions");
 
-  if (search && cards.length > 1) {
+  if (!search) return;
+
+  if (cards.length > 1) {
+    const matches = [];
     cards.forEach((card, idx) => {
-      const cardName = card.id.trim().toLowerCase();
-      const included = cardName.startsWith(search);
+      const match = fuzzyMatch(search, card.id.trim());
 
-      card.dataset.hidden = !included;
+      card.dataset.hidden = !match;
       card.classList.remove("searched");
 
-      if (included) {
-        const li = document.createElement("li");
-        li.innerHTML = cardName.charAt(0).toUpperCase() + cardName.substring(1);
-        li.dataset.card = `#${cardName}`;
-        li.dataset.pos = idx;
-        document.querySelector("#suggestions").appendChild(li);
-        addClick(li, transmitClick);
-      }
+      if (match) matches.push({ card, idx, match });
     });
 
-    document.querySelector("#backdrop").classList = "show";
-    document.querySelector("#results").innerText = `${document.querySelector("#suggestions").childElementCount} / ${cards.length}`;
-    addKeyDown(event.currentTarget, navigateSuggestions);
+    // Best score first, gallery order between equal scores
+    matches.sort((a, b) => b.match.score - a.match.score || a.idx - b.idx);
+    matches.forEach(({ card, idx, match }) => {
+      const cardName = card.id.trim();
+      const li = document.createElement("li");
+      appendHighlighted(li, ucFirst(cardName), match.indices);
+      li.dataset.card = `#${cardName.toLowerCase()}`;
+      li.dataset.pos = idx;
+      suggestions.appendChild(li);
+      addClick(li, transmitClick);
+    });
 
-    if(forceUnique && document.querySelector("#suggestions").childElementCount === 1){
-      event.currentTarget.value = document.querySelector("#suggestions li").innerText;
-      showUniqueSuggestion();
-    }
+    document.querySelector("#results").innerText = `${suggestions.childElementCount} / ${cards.length}`;
+  }
+
+  showArtworkResults(search);
+
+  document.querySelector("#backdrop").classList = "show";
+  addKeyDown(event.currentTarget, navigateSuggestions);
+
+  if(forceUnique && suggestions.childElementCount === 1){
+    event.currentTarget.value = document.querySelector("#suggestions li").innerText;
+    showUniqueSuggestion();
+  }
+}
+
+/**
+ * Appends the artworks matching the search to the suggestions list.
+ * @function showArtworkResults
+ * @param {string} search - Trimmed search input
+ * @description Lists matching artwork paths with their artist. While the
+ * artwork index is being built, shows a placeholder and refreshes the
+ * suggestions once it is ready, if the search did not change meanwhile.
+ * @see buildArtworkIndex
+ */
+function showArtworkResults(search) {
+  const suggestions = document.querySelector("#suggestions");
+  const searchField = document.querySelector("#search");
+  const heading = document.createElement("li");
+  heading.className = "heading";
+  heading.setAttribute("role", "presentation");
+  suggestions.appendChild(heading);
+
+  const index = artworkIndexEntries.get(String(isNsfw));
+  if (!index) {
+    heading.innerText = translate("search.indexing");
+    buildArtworkIndex(isNsfw).then(() => {
+      if (searchField.value.trim() === search) showSuggestions({ currentTarget: searchField });
+    }).catch(() => {
+      heading.innerText = translate("search.unavailable");
+    });
+    return;
+  }
+
+  const results = searchArtworks(search, index);
+  heading.innerText = translate(results.length ? "search.artworks" : "search.noArtwork");
+  results.forEach(({ entry, match }) => {
+    const name = document.createElement("span");
+    name.className = "result-name";
+    appendHighlighted(name, entry.path, match.indices);
+
+    const artist = document.createElement("span");
+    artist.className = "result-artist";
+    artist.innerText = entry.artist;
+
+    const li = document.createElement("li");
+    li.className = "artwork-result";
+    li.dataset.artist = entry.artist;
+    li.dataset.artwork = entry.path;
+    li.append(name, artist);
+    suggestions.appendChild(li);
+    addClick(li, transmitArtworkClick);
+  });
+
+  if (!isRoute("welcome")) {
+    document.querySelector("#results").innerText = translate("search.artworkCount", {
+      count: formatNumber(results.length),
+    });
   }
 }
 
@@ -510,72 +899,44 @@ function showUniqueSuggestion() {
 // *** Navigation Controllers ***
 
 /**
- * Toggles NSFW content filter state and updates UI.
- * @function changeFilter
- * @param {Event} event - Click event from filter button
- * @description Implements:
- * - State comparison to prevent redundant updates
- * - History API integration for state management
- * - URL parameter synchronization
- * - Search field reset
- * @note Maintains page identifier through global 'page' variable
- */
-function changeFilter(event) {
-  const newNsfwState = event.currentTarget.innerText === "NSFW"; // Determine new NSFW state based on button text
-  if (isNsfw !== newNsfwState) { // Only proceed if the state has changed
-    const state = { data: "optional state object" }; // Create a state object for history
-    const title = `Welcome | Commission Xplorer`; // Set the new title
-    const searchParams = new URLSearchParams(window.location.search); // Get current URL parameters
-    searchParams.set("isNsfw", newNsfwState); // Update the NSFW parameter
-
-    const newUrl = `${document.location.pathname}`+(searchParams.toString()===""? "" : "?")+`${searchParams.toString()}`; // Construct the new URL
-    history.pushState(state, title, newUrl); // Push the new state to history
-    document.querySelector("#search").value = ""; // Clear the search field
-  }
+ * Switches between the SFW, NSFW and favorites views.
+ * @function followFilter
+ * @param {Event} event - Click event from a filter label, see its `data-route`
+ * @description Clears the search field, then navigates to the route of the filter.
+ * @see followRoute
+ */
+function followFilter(event) {
+  document.querySelector("#search").value = ""; // Clear the search field
+  followRoute(event);
 }
 
 /**
- * Navigates to artist-specific view with state management.
- * @function goToArtist
- * @param {Event} event - Click event from artist card
- * @description Handles:
- * - Artist parameter injection into URL
- * - Page title updates
- * - Browser history state preservation
- * @see setPageTitle
+ * Returns to the welcome page from an artist page.
+ * @function followReturn
+ * @description Shows the list the artist belongs to, and keeps the artist
+ * name in the search field, so the welcome page scrolls back to its card.
+ * @see showUniqueSuggestion
  */
-function goToArtist(event) {
-  const state = { data: "optional state object" }; // Create a state object for history
-  const title = `${event.currentTarget.id} | Commission Xplorer`; // Set the new title based on the artist's ID
-  const searchParams = new URLSearchParams(window.location.search); // Get current URL parameters
-  searchParams.set("artist", event.currentTarget.id); // Update the artist parameter
-
-  const newUrl = `${document.location.pathname}`+(searchParams.toString()===""? "" : "?")+`${searchParams.toString()}`; // Construct the new URL
-  history.pushState(state, title, newUrl); // Push the new state to history
-  window.document.title = title;
-  setPageTitle(); // Update the page title
+function followReturn() {
+  const { artist } = getRoute().params;
+  navigate("welcome", { isNsfw });
+  document.querySelector("#search").value = artist; // Set the search field value to the artist name
 }
 
 /**
- * Returns to main index view from artist page.
- * @function returnIndex
- * @description Manages:
- * - Artist parameter removal from URL
- * - Search field preservation of current artist
- * - History state reset
- * - Title restoration
- * @note Maintains artist name in search field for quick re-search
- */
-function returnIndex() {
-  const artist = document.title.split("|")[0].trim(); // Extract the artist name from the title
-  const state = { data: "optional state object" }; // Create a state object for history
-  const title = "Welcome | Commission Xplorer"; // Set the new title
-  const searchParams = new URLSearchParams(window.location.search); // Get current URL parameters
-  searchParams.delete("artist"); // Remove the artist parameter
-
-  const newUrl = `${document.location.pathname}`+(searchParams.toString()===""? "" : "?")+`${searchParams.toString()}`; // Construct the new URL
-  history.pushState(state, title, newUrl); // Push the new state to history
-  window.document.title = title;
-  setPageTitle(); // Update the page title
-  document.querySelector("#search").value = artist; // Set the search field value to the artist name
+ * Navigates to an artist page scrolled to one of its artworks.
+ * @function goToArtwork
+ * @param {string} artist - Artist owning the artwork
+ * @param {string} artwork - Artwork path inside the artist folder
+ * @description Handles:
+ * - Search interface reset
+ * - Navigation to the artwork route, in the folder holding the artwork
+ * @see setThumbnails
+ */
+function goToArtwork(artist, artwork) {
+  document.querySelector("#search").value = ""; // Clear the search field
+  emptySuggestions();
+
+  const path = artwork.split("/").slice(0, -1).join("/"); // Folder holding the artwork
+  navigate("artwork", { artist, artwork, path });
 }
@@ -0,0 +1,156 @@
+/**
+ * sw.js - Service worker keeping the explorer usable without the NAS
+ * Serves the app shell and artwork thumbnails from the Cache Storage
+ */
+
+// Bump the versions to drop the caches of a previous release. SHELL_CACHE
+// must change with any file of SHELL_FILES, installed clients keep serving
+// the cached shell otherwise
+const SHELL_CACHE = "comex-shell-v21";
+const THUMBS_CACHE = "comex-thumbs-v1";
+
+// Files needed to start both pages offline
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./dashboard.html",
+  "./assets/css/index.css",
+  "./assets/css/dashboard.css",
+  "./assets/js/config.js",
+  "./assets/js/i18n.js",
+  "./assets/js/theme.js",
+  "./assets/js/generation.js",
+  "./assets/js/gallery.js",
+  "./assets/js/search.js",
+  "./assets/js/markdown.js",
+  "./assets/js/lightbox.js",
+  "./assets/js/news.js",
+  "./assets/js/favorites.js",
+  "./assets/js/tags.js",
+  "./assets/js/ledger.js",
+  "./assets/js/sort.js",
+  "./assets/js/nsfw.js",
+  "./assets/js/offline.js",
+  "./assets/js/router.js",
+  "./assets/js/keymap.js",
+  "./assets/js/events.js",
+  "./assets/js/utilities.js",
+  "./assets/js/dashboard.js",
+  "./assets/img/favicon.ico.ico",
+  "./assets/img/file.png",
+  "./assets/img/film.png",
+  "./assets/img/folder.png",
+  "./assets/img/music.png",
+];
+// Absolute URLs of SHELL_FILES, without query string
+const SHELL_URLS = SHELL_FILES.map(file => new URL(file, self.location.href).href);
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys
+            .filter(key => key !== SHELL_CACHE && key !== THUMBS_CACHE)
+            .map(key => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (/\/thumbs\/.+\.webp$/.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, THUMBS_CACHE));
+  } else if (SHELL_URLS.includes(url.origin + url.pathname) && !request.headers.has("range")) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+/**
+ * Stores a response, logging storage failures.
+ * @function storeResponse
+ * @async
+ * @param {Cache} cache - Open cache
+ * @param {Request} request - Request the response answers
+ * @param {Response} response - Response to store, cloned by the caller
+ */
+async function storeResponse(cache, request, response) {
+  try {
+    await cache.put(request, response);
+  } catch (err) {
+    console.error(`Failed to cache ${request.url}:`, err.message);
+  }
+}
+
+/**
+ * Answers from the cache, fetching and storing the response on a miss.
+ * @function cacheFirst
+ * @async
+ * @param {Request} request - Intercepted request
+ * @param {string} name - Cache name
+ * @returns {Promise<Response>} The cached or fetched response
+ * @note Thumbnails never change once generated, so successful responses are
+ * never revalidated. Cross-origin thumbnails loaded by <img> are opaque: their
+ * status is unknown and may be an error, so a cached opaque response is only
+ * served while a fresh one replaces it in the background.
+ */
+async function cacheFirst(request, name) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(request);
+  if (cached && cached.type !== "opaque") return cached;
+
+  const network = fetch(request).then(response => {
+    if (response.status === 200 || response.type === "opaque") {
+      storeResponse(cache, request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}
+
+/**
+ * Answers from the cache and refreshes it in the background.
+ * @function staleWhileRevalidate
+ * @async
+ * @param {Request} request - Intercepted request
+ * @param {string} name - Cache name
+ * @returns {Promise<Response>} The cached response, or the network one on a miss
+ * @note Only used for SHELL_FILES. Query strings are ignored so
+ * `index.html?artist=...` opens offline; partial (206) and error responses
+ * are not stored.
+ */
+async function staleWhileRevalidate(request, name) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request).then(response => {
+    if (response.status === 200) storeResponse(cache, request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}